@@ -4,26 +4,207 @@
    ============================================================ */
 
 /* ---------- core renderer ---------- */
+/* Each cell holds a glyph plus an optional style: { color, opacity }.
+   Unstyled cells inherit the color set by CSS on the <pre>.
+   Buffers are reused across frames; commit() diffs the frame against the
+   last committed one so only changed rows are re-joined and re-output. */
 class ASCIIRenderer {
   constructor(width, height) {
+    this.layers = [];
+    this._dots = null;
+    this.frame = 0;
+    this.changedRows = [];
+    this.stats = { frames: 0, rowsJoined: 0, rowsReused: 0 };
+    /* changed-row flags of each layer entry (in any parent) holding this
+       renderer. Parents read the committed cells, so while there are any,
+       this one's row text is only joined on demand */
+    this._watchers = [];
+    this._allocate(width, height);
+  }
+
+  _allocate(width, height) {
     this.width = width;
     this.height = height;
-    this.buffer = [];
-    this.clear();
+    this.buffer = Array.from({ length: height }, () => Array(width).fill(" "));
+    this.styles = Array.from({ length: height }, () => Array(width).fill(null));
+    this.styled = false;
+
+    /* last committed frame, and per-row bookkeeping */
+    this.front = Array.from({ length: height }, () => Array(width).fill(" "));
+    this.frontStyles = Array.from({ length: height }, () => Array(width).fill(null));
+    this.rowText = Array(height).fill(" ".repeat(width));
+    this.rowStyled = new Uint8Array(height);
+    this._rowHTML = Array(height).fill(null);
+    this._touched = new Uint8Array(height);
+    this._used = new Uint8Array(height);
+    /* rows whose text hasn't been joined (layers only) */
+    this._textStale = new Uint8Array(height);
+    for (const rows of this._watchers) rows.fill(1);
+    /* base + layers, flattened by _compose() when there are layers */
+    this._composed = Array.from({ length: height }, () => Array(width).fill(" "));
+    this._composedStyles = Array.from({ length: height }, () => Array(width).fill(null));
+    this._composeAll = true;
+    this.dirty = false;
+    this._frameText = null;
+  }
+
+  /* new grid size — buffers are reallocated and the next commit reports
+     every row; counters carry over */
+  resize(width, height) {
+    this._allocate(width, height);
+    for (const layer of this.layers) {
+      const r = layer.renderer;
+      if (r.width !== width || r.height !== height) r.resize(width, height);
+      unwatchLayer(layer);
+      watchLayer(layer, height);
+    }
+    this.changedRows = [];
+    this.invalidate();
+  }
+
+  /* ---------- layers ----------
+     A layer is a renderer of the same size, flattened together with this
+     one (the base, at z 0) on commit; blank cells are transparent. Only
+     rows that changed in the base or in a layer's last commit are
+     re-flattened, and layers drawn into directly are committed first.
+     opts: z (stacking order, negative goes below the base),
+           blend ("over": top glyph wins, "under": only fills blanks,
+                  "denser": the visually heavier glyph wins),
+           opacity (scales the layer's cell opacity), visible.
+     Returns the layer's renderer to draw into. Pass `renderer` to adopt
+     an existing one, such as another animation's `r`. */
+  layer(name, opts = {}, renderer) {
+    let layer = this.layers.find((l) => l.name === name);
+    if (!layer) {
+      layer = {
+        name,
+        renderer: renderer || new ASCIIRenderer(this.width, this.height),
+        z: 0,
+        blend: "over",
+        opacity: 1,
+        visible: true,
+        _styles: new Map(),
+        _rows: null,
+      };
+      watchLayer(layer, this.height);
+      this.layers.push(layer);
+    } else if (renderer && renderer !== layer.renderer) {
+      unwatchLayer(layer);
+      layer.renderer = renderer;
+      watchLayer(layer, this.height);
+    }
+    for (const key of ["z", "blend", "opacity", "visible"]) {
+      if (opts[key] !== undefined) layer[key] = opts[key];
+    }
+    if (opts.opacity !== undefined) layer._styles.clear();
+    if (!LAYER_BLENDS.includes(layer.blend)) {
+      console.warn("ASCIIEngine: unknown blend \"" + layer.blend + "\"");
+      layer.blend = "over";
+    }
+    /* stable sort keeps creation order among equal z */
+    this.layers.sort((a, b) => a.z - b.z);
+    this.invalidate();
+    return layer.renderer;
+  }
+
+  removeLayer(name) {
+    for (const l of this.layers) if (l.name === name) unwatchLayer(l);
+    this.layers = this.layers.filter((l) => l.name !== name);
+    this.invalidate();
+  }
+
+  /* flatten layers (as last committed) and base into _composed, bottom
+     to top, for rows that changed in any of them */
+  _compose() {
+    const stack = [];
+    let baseAdded = false;
+    for (const layer of this.layers) {
+      if (layer.renderer.dirty) layer.renderer.commit();
+      if (!layer.visible) continue;
+      if (!baseAdded && layer.z >= 0) { stack.push(null); baseAdded = true; }
+      stack.push(layer);
+    }
+    if (!baseAdded) stack.push(null);
+
+    for (let y = 0; y < this.height; y++) {
+      let stale = this._composeAll || this._touched[y];
+      for (const layer of this.layers) stale = stale || layer._rows[y];
+      if (!stale) continue;
+      const out = this._composed[y], outStyles = this._composedStyles[y];
+      for (let x = 0; x < this.width; x++) {
+        let ch = " ";
+        let style = null;
+        for (const layer of stack) {
+          const r = layer ? layer.renderer : this;
+          const row = layer ? r.front[y] : r.buffer[y];
+          const c = row ? row[x] : undefined;
+          if (c === undefined || c === " ") continue;
+          const blend = layer ? layer.blend : "over";
+          if (ch === " " || blend === "over" ||
+              (blend === "denser" && glyphDensity(c) >= glyphDensity(ch))) {
+            ch = c;
+            style = layer ? layerStyle(layer, r.frontStyles[y][x]) : this.styles[y][x];
+          }
+        }
+        out[x] = ch;
+        outStyles[x] = style;
+      }
+      this._touched[y] = 1;
+      this.dirty = true;
+    }
+    for (const layer of this.layers) layer._rows.fill(0);
+    this._composeAll = false;
   }
 
+  /* blank only the rows that were drawn on — no reallocation */
   clear() {
-    this.buffer = Array.from({ length: this.height }, () =>
-      Array(this.width).fill(" ")
-    );
+    for (let y = 0; y < this.height; y++) {
+      if (!this._used[y]) continue;
+      this.buffer[y].fill(" ");
+      this.styles[y].fill(null);
+      this._used[y] = 0;
+      this._touched[y] = 1;
+      this.dirty = true;
+    }
+    this.styled = false;
   }
 
-  set(x, y, ch) {
+  set(x, y, ch, style) {
     const ix = Math.round(x);
     const iy = Math.round(y);
     if (ix >= 0 && ix < this.width && iy >= 0 && iy < this.height) {
+      style = style || null;
+      if (this.buffer[iy][ix] === ch && this.styles[iy][ix] === style) return;
       this.buffer[iy][ix] = ch;
+      this.styles[iy][ix] = style;
+      this._used[iy] = 1;
+      this._touched[iy] = 1;
+      this.dirty = true;
+      if (style) this.styled = true;
+    }
+  }
+
+  /* "cell" (one glyph per cell), "braille" (2×4 dots per cell) or
+     "half" (▀▄, 1×2 per cell). In the sub-cell modes the shape methods
+     (line, circle, ellipse, rect, polygon, Bezier curves …) take the same
+     cell coordinates, fractions included, but plot dots at the finer
+     resolution; their `ch` is ignored except " ", which erases dots.
+     set() and text() still write whole glyphs. */
+  get resolution() {
+    return this._dots ? this._dots.mode : "cell";
+  }
+
+  set resolution(mode) {
+    this._dots = SUBCELL_MODES[mode] ? new SubCellSurface(this, mode) : null;
+  }
+
+  getStyle(x, y) {
+    const ix = Math.round(x);
+    const iy = Math.round(y);
+    if (ix >= 0 && ix < this.width && iy >= 0 && iy < this.height) {
+      return this.styles[iy][ix];
     }
+    return null;
   }
 
   get(x, y) {
@@ -36,472 +217,3956 @@ class ASCIIRenderer {
   }
 
   /* Bresenham line */
-  line(x0, y0, x1, y1, ch) {
-    x0 = Math.round(x0); y0 = Math.round(y0);
-    x1 = Math.round(x1); y1 = Math.round(y1);
-    const dx = Math.abs(x1 - x0);
-    const dy = Math.abs(y1 - y0);
-    const sx = x0 < x1 ? 1 : -1;
-    const sy = y0 < y1 ? 1 : -1;
-    let err = dx - dy;
-    while (true) {
-      this.set(x0, y0, ch);
-      if (x0 === x1 && y0 === y1) break;
-      const e2 = 2 * err;
-      if (e2 > -dy) { err -= dy; x0 += sx; }
-      if (e2 < dx)  { err += dx; y0 += sy; }
-    }
+  line(x0, y0, x1, y1, ch, style) {
+    if (this._dots) return this._dots.line(...this._dots.pt(x0, y0), ...this._dots.pt(x1, y1), ch, style);
+    traceLine(x0, y0, x1, y1, (x, y) => this.set(x, y, ch, style));
+  }
+
+  /* every `step` cells along the line, draw `dash` of them:
+     step 2 / dash 1 is dotted, step 4 / dash 3 dashed */
+  dashedLine(x0, y0, x1, y1, ch, style, step = 2, dash = 1) {
+    if (this._dots) return this._dots.dashedLine(...this._dots.pt(x0, y0), ...this._dots.pt(x1, y1), ch, style, step, dash);
+    traceLine(x0, y0, x1, y1, (x, y, i) => {
+      if (i % step < dash) this.set(x, y, ch, style);
+    });
   }
 
   /* Midpoint circle */
-  circle(cx, cy, r, ch) {
+  circle(cx, cy, r, ch, style) {
+    if (this._dots) return this._dots.ellipse(...this._dots.pt(cx, cy), r * this._dots.sx, r * this._dots.sy, ch, style);
     cx = Math.round(cx); cy = Math.round(cy); r = Math.round(r);
     let x = r, y = 0, d = 1 - r;
     while (x >= y) {
-      this.set(cx + x, cy + y, ch);
-      this.set(cx - x, cy + y, ch);
-      this.set(cx + x, cy - y, ch);
-      this.set(cx - x, cy - y, ch);
-      this.set(cx + y, cy + x, ch);
-      this.set(cx - y, cy + x, ch);
-      this.set(cx + y, cy - x, ch);
-      this.set(cx - y, cy - x, ch);
+      this.set(cx + x, cy + y, ch, style);
+      this.set(cx - x, cy + y, ch, style);
+      this.set(cx + x, cy - y, ch, style);
+      this.set(cx - x, cy - y, ch, style);
+      this.set(cx + y, cy + x, ch, style);
+      this.set(cx - y, cy + x, ch, style);
+      this.set(cx + y, cy - x, ch, style);
+      this.set(cx - y, cy - x, ch, style);
       y++;
       if (d <= 0) { d += 2 * y + 1; }
       else        { x--; d += 2 * (y - x) + 1; }
     }
   }
 
-  filledCircle(cx, cy, r, ch) {
+  filledCircle(cx, cy, r, ch, style) {
+    if (this._dots) return this._dots.filledEllipse(...this._dots.pt(cx, cy), r * this._dots.sx, r * this._dots.sy, ch, style);
     for (let dy = -r; dy <= r; dy++) {
       for (let dx = -r; dx <= r; dx++) {
         if (dx * dx + dy * dy <= r * r) {
-          this.set(cx + dx, cy + dy, ch);
+          this.set(cx + dx, cy + dy, ch, style);
         }
       }
     }
   }
 
-  text(x, y, str) {
-    for (let i = 0; i < str.length; i++) {
-      this.set(x + i, y, str[i]);
+  /* midpoint ellipse, radii in cells (use ry ≈ rx / 2 for a round look) */
+  ellipse(cx, cy, rx, ry, ch, style) {
+    if (this._dots) return this._dots.ellipse(...this._dots.pt(cx, cy), rx * this._dots.sx, ry * this._dots.sy, ch, style);
+    cx = Math.round(cx); cy = Math.round(cy);
+    rx = Math.round(rx); ry = Math.round(ry);
+    const plot = (x, y) => {
+      this.set(cx + x, cy + y, ch, style);
+      this.set(cx - x, cy + y, ch, style);
+      this.set(cx + x, cy - y, ch, style);
+      this.set(cx - x, cy - y, ch, style);
+    };
+    const rx2 = rx * rx, ry2 = ry * ry;
+    let x = 0, y = ry;
+    /* region 1: slope shallower than -1 */
+    let d = ry2 - rx2 * ry + rx2 / 4;
+    while (ry2 * x <= rx2 * y) {
+      plot(x, y);
+      x++;
+      if (d < 0) d += ry2 * (2 * x + 1);
+      else { y--; d += ry2 * (2 * x + 1) - 2 * rx2 * y; }
+    }
+    /* region 2: steeper */
+    d = ry2 * (x + 0.5) * (x + 0.5) + rx2 * (y - 1) * (y - 1) - rx2 * ry2;
+    while (y >= 0) {
+      plot(x, y);
+      y--;
+      if (d > 0) d += rx2 * (1 - 2 * y);
+      else { x++; d += 2 * ry2 * x + rx2 * (1 - 2 * y); }
     }
   }
 
-  render() {
-    return this.buffer.map(row => row.join("")).join("\n");
+  filledEllipse(cx, cy, rx, ry, ch, style) {
+    if (this._dots) return this._dots.filledEllipse(...this._dots.pt(cx, cy), rx * this._dots.sx, ry * this._dots.sy, ch, style);
+    for (let dy = -ry; dy <= ry; dy++) {
+      for (let dx = -rx; dx <= rx; dx++) {
+        if ((dx * dx) / (rx * rx || 1) + (dy * dy) / (ry * ry || 1) <= 1) {
+          this.set(cx + dx, cy + dy, ch, style);
+        }
+      }
+    }
   }
-}
 
-/* ---------- easing helpers ---------- */
-function lerp(a, b, t) { return a + (b - a) * t; }
-function smoothstep(t) { return t * t * (3 - 2 * t); }
-function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
+  rect(x, y, w, h, ch, style) {
+    if (this._dots) return this._dots.rect(...this._dots.corner(x, y), w * this._dots.sx, h * this._dots.sy, ch, style);
+    x = Math.round(x); y = Math.round(y);
+    this.line(x, y, x + w - 1, y, ch, style);
+    this.line(x, y + h - 1, x + w - 1, y + h - 1, ch, style);
+    this.line(x, y, x, y + h - 1, ch, style);
+    this.line(x + w - 1, y, x + w - 1, y + h - 1, ch, style);
+  }
 
-/* ==========================================================
-   ANIMATION: Neural Network
-   A multi-layer network with animated data pulses
-   ========================================================== */
-class NeuralNetworkAnimation {
-  constructor(w, h) {
-    this.r = new ASCIIRenderer(w, h);
-    this.w = w;
-    this.h = h;
-    this.time = 0;
+  fillRect(x, y, w, h, ch, style) {
+    if (this._dots) return this._dots.fillRect(...this._dots.corner(x, y), w * this._dots.sx, h * this._dots.sy, ch, style);
+    x = Math.round(x); y = Math.round(y);
+    for (let dy = 0; dy < h; dy++) {
+      for (let dx = 0; dx < w; dx++) this.set(x + dx, y + dy, ch, style);
+    }
+  }
 
-    /* define layers — each layer is an array of {x,y} */
-    const layers = 5;
-    const maxNodes = 7;
-    const marginX = 6;
-    const spacingX = (w - marginX * 2) / (layers - 1);
+  /* horizontal or vertical box-drawing line that joins whatever box
+     glyphs it crosses (─ over │ becomes ┼, a line ending on one makes
+     ├ ┬ …). weight: "light", "heavy", "double" or "rounded" */
+  boxLine(x0, y0, x1, y1, style, weight = "light") {
+    x0 = Math.round(x0); y0 = Math.round(y0);
+    x1 = Math.round(x1); y1 = Math.round(y1);
+    /* box drawing has no diagonals — fall back to slashes */
+    if (x0 !== x1 && y0 !== y1) {
+      this.line(x0, y0, x1, y1, (x0 < x1) === (y0 < y1) ? "╲" : "╱", style);
+      return;
+    }
+    if (x0 > x1 || y0 > y1) { [x0, x1] = [x1, x0]; [y0, y1] = [y1, y0]; }
+    const horizontal = y0 === y1;
+    const len = horizontal ? x1 - x0 : y1 - y0;
+    for (let i = 0; i <= len; i++) {
+      let mask = 0;
+      if (horizontal) mask = (i > 0 ? BOX_W : 0) | (i < len ? BOX_E : 0);
+      else mask = (i > 0 ? BOX_N : 0) | (i < len ? BOX_S : 0);
+      if (!len) mask = horizontal ? BOX_E | BOX_W : BOX_N | BOX_S;
+      const x = horizontal ? x0 + i : x0;
+      const y = horizontal ? y0 : y0 + i;
+      this.set(x, y, joinBox(this.get(x, y), mask, weight), style);
+    }
+  }
 
-    this.layers = [];
-    const nodeCounts = [3, 5, maxNodes, 5, 2];
-    for (let l = 0; l < layers; l++) {
-      const count = nodeCounts[l];
-      const lx = marginX + l * spacingX;
-      const spacingY = (h - 4) / (count + 1);
-      const nodes = [];
-      for (let n = 0; n < count; n++) {
-        nodes.push({ x: Math.round(lx), y: Math.round(spacingY * (n + 1) + 2) });
-      }
-      this.layers.push(nodes);
+  /* box-drawing panel; borders join neighbouring boxes and lines.
+     opts: { weight, style, fill (interior glyph), title } */
+  box(x, y, w, h, opts = {}) {
+    x = Math.round(x); y = Math.round(y);
+    const { weight = "light", style = null } = opts;
+    if (w < 2 || h < 2) return;
+    const x1 = x + w - 1, y1 = y + h - 1;
+    /* corners are joined from what was there before, since a lone
+       double-line end (═) can't be told apart from a full one */
+    const corners = [[x, y, BOX_E | BOX_S], [x1, y, BOX_W | BOX_S], [x, y1, BOX_E | BOX_N], [x1, y1, BOX_W | BOX_N]]
+      .map(([cx, cy, mask]) => [cx, cy, joinBox(this.get(cx, cy), mask, weight)]);
+    if (opts.fill !== undefined) this.fillRect(x + 1, y + 1, w - 2, h - 2, opts.fill, style);
+    this.boxLine(x, y, x1, y, style, weight);
+    this.boxLine(x, y1, x1, y1, style, weight);
+    this.boxLine(x, y, x, y1, style, weight);
+    this.boxLine(x1, y, x1, y1, style, weight);
+    for (const [cx, cy, ch] of corners) this.set(cx, cy, ch, style);
+    if (opts.title) this.text(x + 2, y, (" " + opts.title + " ").slice(0, Math.max(0, w - 4)), style);
+  }
+
+  /* closed outline through [{ x, y }, …] */
+  polygon(points, ch, style) {
+    if (this._dots) return this._dots.polygon(this._dots.pts(points), ch, style);
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      this.line(a.x, a.y, b.x, b.y, ch, style);
     }
+  }
 
-    /* pre-compute connections */
-    this.connections = [];
-    for (let l = 0; l < this.layers.length - 1; l++) {
-      for (const a of this.layers[l]) {
-        for (const b of this.layers[l + 1]) {
-          this.connections.push({ ax: a.x, ay: a.y, bx: b.x, by: b.y });
-        }
+  /* even-odd scanline fill of the interior (sampled at cell centers),
+     plus the outline so edges line up with polygon() */
+  fillPolygon(points, ch, style) {
+    if (this._dots) return this._dots.fillPolygon(this._dots.pts(points), ch, style);
+    if (points.length < 3) return;
+    const ys = points.map((p) => p.y);
+    const top = Math.max(0, Math.floor(Math.min(...ys)));
+    const bottom = Math.min(this.height - 1, Math.ceil(Math.max(...ys)));
+    for (let y = top; y <= bottom; y++) {
+      const xs = [];
+      for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        if ((a.y <= y) !== (b.y <= y)) xs.push(a.x + ((y - a.y) / (b.y - a.y)) * (b.x - a.x));
+      }
+      xs.sort((p, q) => p - q);
+      for (let i = 0; i + 1 < xs.length; i += 2) {
+        for (let x = Math.ceil(xs[i] - 0.5); x <= Math.floor(xs[i + 1] - 0.5); x++) this.set(x, y, ch, style);
       }
     }
+    this.polygon(points, ch, style);
+  }
 
-    /* pulses */
-    this.pulses = [];
-    this.spawnTimer = 0;
+  quadBezier(x0, y0, cx, cy, x1, y1, ch, style) {
+    if (this._dots) return this._dots.quadBezier(...this._dots.pt(x0, y0), ...this._dots.pt(cx, cy), ...this._dots.pt(x1, y1), ch, style);
+    this.polyline(bezierPoints([{ x: x0, y: y0 }, { x: cx, y: cy }, { x: x1, y: y1 }]), ch, style);
   }
 
-  update() {
-    this.time++;
-    this.spawnTimer++;
-
-    /* spawn new pulses periodically */
-    if (this.spawnTimer > 4) {
-      this.spawnTimer = 0;
-      const conn = this.connections[Math.floor(Math.random() * this.connections.length)];
-      this.pulses.push({
-        ax: conn.ax, ay: conn.ay,
-        bx: conn.bx, by: conn.by,
-        t: 0, speed: 0.04 + Math.random() * 0.03,
-      });
+  cubicBezier(x0, y0, c1x, c1y, c2x, c2y, x1, y1, ch, style) {
+    if (this._dots) {
+      const d = this._dots;
+      return d.cubicBezier(...d.pt(x0, y0), ...d.pt(c1x, c1y), ...d.pt(c2x, c2y), ...d.pt(x1, y1), ch, style);
     }
+    this.polyline(bezierPoints([
+      { x: x0, y: y0 }, { x: c1x, y: c1y }, { x: c2x, y: c2y }, { x: x1, y: y1 },
+    ]), ch, style);
+  }
 
-    /* advance pulses */
-    for (const p of this.pulses) p.t += p.speed;
-    this.pulses = this.pulses.filter(p => p.t <= 1);
+  /* open path through [{ x, y }, …] */
+  polyline(points, ch, style) {
+    if (this._dots) return this._dots.polyline(this._dots.pts(points), ch, style);
+    for (let i = 0; i + 1 < points.length; i++) {
+      this.line(points[i].x, points[i].y, points[i + 1].x, points[i + 1].y, ch, style);
+    }
   }
 
-  draw() {
-    this.r.clear();
+  /* 4-connected fill of the region sharing the start cell's glyph;
+     returns the number of cells painted */
+  floodFill(x, y, ch, style) {
+    x = Math.round(x); y = Math.round(y);
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return 0;
+    const target = this.buffer[y][x];
+    if (target === ch) return 0;
+    const stack = [x, y];
+    let count = 0;
+    while (stack.length) {
+      const cy = stack.pop();
+      let cx = stack.pop();
+      const row = this.buffer[cy];
+      if (row[cx] !== target) continue;
+      /* run left, then paint rightwards, queueing the rows above/below */
+      while (cx > 0 && row[cx - 1] === target) cx--;
+      for (; cx < this.width && row[cx] === target; cx++) {
+        this.set(cx, cy, ch, style);
+        count++;
+        if (cy > 0 && this.buffer[cy - 1][cx] === target) stack.push(cx, cy - 1);
+        if (cy < this.height - 1 && this.buffer[cy + 1][cx] === target) stack.push(cx, cy + 1);
+      }
+    }
+    return count;
+  }
+
+  text(x, y, str, style) {
+    for (let i = 0; i < str.length; i++) {
+      this.set(x + i, y, str[i], style);
+    }
+  }
 
-    const connectionChars = ["-", "~", "·"];
+  /* big multi-row text in a FIGlet font (see BANNER FONTS); blanks are
+     skipped so whatever is underneath shows through. With opts.width the
+     banner is aligned within [x, x + width). Returns the layout. */
+  banner(x, y, str, opts = {}) {
+    const layout = layoutBanner(str, opts);
+    layout.rows.forEach((row, dy) => {
+      for (let dx = 0; dx < row.length; dx++) {
+        if (row.charAt(dx) !== " ") this.set(x + dx, y + dy, row.charAt(dx), opts.style);
+      }
+    });
+    return layout;
+  }
 
-    /* draw connections (subtle) */
-    for (const c of this.connections) {
-      const dx = c.bx - c.ax;
-      const dy = c.by - c.ay;
-      const steps = Math.max(Math.abs(dx), Math.abs(dy));
-      for (let i = 0; i <= steps; i += 2) {
-        const t = i / steps;
-        const x = Math.round(lerp(c.ax, c.bx, t));
-        const y = Math.round(lerp(c.ay, c.by, t));
-        if (this.r.get(x, y) === " ") {
-          this.r.set(x, y, "·");
+  /* Diff touched rows against the last committed frame. Rows whose cells
+     ended up identical (cleared and redrawn the same) are not re-joined.
+     Returns the changed row indices, also kept in this.changedRows until
+     the next commit that has something to diff. */
+  commit() {
+    /* layers change without touching the base */
+    if (this.layers.length) this._compose();
+    if (!this.dirty) return [];
+    const changedRows = [];
+    const layered = this.layers.length > 0;
+    for (let y = 0; y < this.height; y++) {
+      if (!this._touched[y]) continue;
+      this._touched[y] = 0;
+      const row = layered ? this._composed[y] : this.buffer[y];
+      const styles = layered ? this._composedStyles[y] : this.styles[y];
+      const front = this.front[y], frontStyles = this.frontStyles[y];
+      let changed = false;
+      let styled = 0;
+      for (let x = 0; x < this.width; x++) {
+        if (styles[x]) styled = 1;
+        if (row[x] !== front[x] || !sameStyle(styles[x], frontStyles[x])) {
+          front[x] = row[x];
+          frontStyles[x] = styles[x];
+          changed = true;
         }
       }
+      if (!changed) { this.stats.rowsReused++; continue; }
+      if (this._watchers.length) {
+        this._textStale[y] = 1;
+      } else {
+        this.rowText[y] = row.join("");
+        this.stats.rowsJoined++;
+      }
+      for (const rows of this._watchers) rows[y] = 1;
+      this.rowStyled[y] = styled;
+      this._rowHTML[y] = null;
+      changedRows.push(y);
     }
+    this.dirty = false;
+    /* re-flattening layers into the same picture is not a new frame */
+    if (layered && !changedRows.length) return [];
+    this.frame++;
+    this.changedRows = changedRows;
+    if (this.changedRows.length) this._frameText = null;
+    this.stats.frames++;
+    return this.changedRows;
+  }
 
-    /* draw pulses */
-    const pulseChars = ["█", "▓", "▒", "░"];
-    for (const p of this.pulses) {
-      const x = Math.round(lerp(p.ax, p.bx, p.t));
-      const y = Math.round(lerp(p.ay, p.by, p.t));
-      this.r.set(x, y, pulseChars[0]);
-      /* trail */
-      for (let trail = 1; trail < pulseChars.length; trail++) {
-        const tt = p.t - trail * p.speed * 1.5;
-        if (tt >= 0) {
-          const tx = Math.round(lerp(p.ax, p.bx, tt));
-          const ty = Math.round(lerp(p.ay, p.by, tt));
-          if (this.r.get(tx, ty) !== pulseChars[0]) {
-            this.r.set(tx, ty, pulseChars[trail]);
-          }
-        }
+  /* forget the committed frame so the next commit reports every row */
+  invalidate() {
+    for (let y = 0; y < this.height; y++) {
+      this.front[y].fill("");
+      this._touched[y] = 1;
+    }
+    this._composeAll = true;
+    this.dirty = true;
+  }
+
+  /* plain-text frame — styles are dropped */
+  render() {
+    this.commit();
+    if (this._frameText === null) {
+      for (let y = 0; y < this.height; y++) {
+        if (!this._textStale[y]) continue;
+        this._textStale[y] = 0;
+        this.rowText[y] = this.front[y].join("");
+        this.stats.rowsJoined++;
       }
+      this._frameText = this.rowText.join("\n");
     }
+    return this._frameText;
+  }
 
-    /* draw nodes */
-    const nodeGlyphs = ["◉", "◎", "●", "○"];
-    for (let l = 0; l < this.layers.length; l++) {
-      for (const node of this.layers[l]) {
-        /* glow ring */
-        const phase = (this.time * 0.05 + node.x * 0.1 + node.y * 0.1) % 1;
-        const glow = phase < 0.5 ? "○" : "◌";
-        this.r.set(node.x - 1, node.y, "[");
-        this.r.set(node.x, node.y, "●");
-        this.r.set(node.x + 1, node.y, "]");
+  /* one committed row as HTML, cached until the row changes */
+  rowHTML(y) {
+    if (this._rowHTML[y] !== null) return this._rowHTML[y];
+    let html = "";
+    for (const run of this.rowRuns(y, true)) {
+      const text = escapeHTML(run.text);
+      html += run.style
+        ? '<span style="' + styleToCSS(run.style) + '">' + text + "</span>"
+        : text;
+    }
+    this._rowHTML[y] = html;
+    return html;
+  }
+
+  /* one row as runs of equally styled cells: [{ text, style }].
+     Blank cells look the same in any style, so they extend the current run.
+     Uncommitted rows are the base only, without layers. */
+  rowRuns(y, committed) {
+    const row = committed ? this.front[y] : this.buffer[y];
+    const styles = committed ? this.frontStyles[y] : this.styles[y];
+    const runs = [];
+    let text = "";
+    let style = styles[0];
+    for (let x = 0; x < this.width; x++) {
+      if (row[x] !== " " && !sameStyle(styles[x], style)) {
+        runs.push({ text, style });
+        text = "";
+        style = styles[x];
       }
+      text += row[x];
     }
+    runs.push({ text, style });
+    return runs;
+  }
 
-    /* layer labels */
-    const labels = ["INPUT", "HIDDEN", "DEEP", "HIDDEN", "OUTPUT"];
-    for (let l = 0; l < this.layers.length; l++) {
-      const lx = this.layers[l][0].x;
-      const label = labels[l];
-      this.r.text(lx - Math.floor(label.length / 2), 0, label);
+  /* styled frame — run-length merged <span>s, unstyled runs as bare text */
+  renderHTML() {
+    this.commit();
+    const rows = [];
+    for (let y = 0; y < this.height; y++) rows.push(this.rowHTML(y));
+    return rows.join("\n");
+  }
+
+  /* styled frame for terminals — 24-bit color, low opacity maps to SGR dim */
+  renderANSI() {
+    this.commit();
+    const rows = [];
+    for (let y = 0; y < this.height; y++) {
+      let line = "";
+      for (const run of this.rowRuns(y, true)) {
+        const sgr = run.style ? styleToSGR(run.style) : "";
+        line += sgr ? "\x1b[" + sgr + "m" + run.text + "\x1b[0m" : run.text;
+      }
+      rows.push(line);
     }
+    return rows.join("\n");
+  }
+}
 
-    return this.r.render();
+/* ---------- geometry helpers ---------- */
+/* Bresenham walk; fn(x, y, i) gets each cell and its index along the line */
+function traceLine(x0, y0, x1, y1, fn) {
+  x0 = Math.round(x0); y0 = Math.round(y0);
+  x1 = Math.round(x1); y1 = Math.round(y1);
+  const dx = Math.abs(x1 - x0);
+  const dy = Math.abs(y1 - y0);
+  const sx = x0 < x1 ? 1 : -1;
+  const sy = y0 < y1 ? 1 : -1;
+  let err = dx - dy;
+  for (let i = 0; ; i++) {
+    fn(x0, y0, i);
+    if (x0 === x1 && y0 === y1) break;
+    const e2 = 2 * err;
+    if (e2 > -dy) { err -= dy; x0 += sx; }
+    if (e2 < dx)  { err += dx; y0 += sy; }
   }
 }
 
-/* ==========================================================
-   ANIMATION: Data Stream / Matrix Rain (subtle, blue-themed)
-   ========================================================== */
-class DataStreamAnimation {
-  constructor(w, h) {
-    this.r = new ASCIIRenderer(w, h);
-    this.w = w;
-    this.h = h;
-    this.time = 0;
-    this.chars = "01αβγδεζηθλμνξπρσφψω∑∏∫∂∇≈≠≤≥∞".split("");
-    this.columns = [];
-    for (let x = 0; x < w; x++) {
-      this.columns.push({
-        y: Math.random() * h * 2 - h,
-        speed: 0.2 + Math.random() * 0.5,
-        length: 4 + Math.floor(Math.random() * 12),
-        active: Math.random() > 0.5,
+/* flatten a quadratic or cubic Bezier (3 or 4 control points) into a
+   polyline fine enough that consecutive points are about a cell apart */
+function bezierPoints(ctrl) {
+  let length = 0;
+  for (let i = 1; i < ctrl.length; i++) {
+    length += Math.hypot(ctrl[i].x - ctrl[i - 1].x, ctrl[i].y - ctrl[i - 1].y);
+  }
+  const n = Math.max(2, Math.ceil(length));
+  const points = [];
+  for (let s = 0; s <= n; s++) {
+    const t = s / n, u = 1 - t;
+    if (ctrl.length === 3) {
+      points.push({
+        x: u * u * ctrl[0].x + 2 * u * t * ctrl[1].x + t * t * ctrl[2].x,
+        y: u * u * ctrl[0].y + 2 * u * t * ctrl[1].y + t * t * ctrl[2].y,
+      });
+    } else {
+      points.push({
+        x: u * u * u * ctrl[0].x + 3 * u * u * t * ctrl[1].x + 3 * u * t * t * ctrl[2].x + t * t * t * ctrl[3].x,
+        y: u * u * u * ctrl[0].y + 3 * u * u * t * ctrl[1].y + 3 * u * t * t * ctrl[2].y + t * t * t * ctrl[3].y,
       });
     }
   }
+  return points;
+}
 
-  update() {
-    this.time++;
-    for (const col of this.columns) {
-      if (!col.active) {
-        if (Math.random() < 0.005) col.active = true;
-        continue;
-      }
-      col.y += col.speed;
-      if (col.y - col.length > this.h) {
-        col.y = -col.length;
-        col.speed = 0.2 + Math.random() * 0.5;
-        col.length = 4 + Math.floor(Math.random() * 12);
-        if (Math.random() < 0.3) col.active = false;
-      }
-    }
+/* box-drawing glyphs indexed by which sides they connect */
+const BOX_N = 1, BOX_E = 2, BOX_S = 4, BOX_W = 8;
+const BOX_GLYPHS = {
+  light:   [" ", "╵", "╶", "└", "╷", "│", "┌", "├", "╴", "┘", "─", "┴", "┐", "┤", "┬", "┼"],
+  heavy:   [" ", "╹", "╺", "┗", "╻", "┃", "┏", "┣", "╸", "┛", "━", "┻", "┓", "┫", "┳", "╋"],
+  double:  [" ", "║", "═", "╚", "║", "║", "╔", "╠", "═", "╝", "═", "╩", "╗", "╣", "╦", "╬"],
+  rounded: [" ", "╵", "╶", "╰", "╷", "│", "╭", "├", "╴", "╯", "─", "┴", "╮", "┤", "┬", "┼"],
+};
+/* glyph → sides; scanned from 15 down so "║" reads as a full │ */
+const BOX_SIDES = new Map();
+for (const glyphs of Object.values(BOX_GLYPHS)) {
+  for (let mask = 15; mask > 0; mask--) {
+    if (!BOX_SIDES.has(glyphs[mask])) BOX_SIDES.set(glyphs[mask], mask);
   }
+}
 
-  draw() {
-    this.r.clear();
-    for (let x = 0; x < this.w; x++) {
-      const col = this.columns[x];
-      if (!col.active) continue;
-      const head = Math.floor(col.y);
-      for (let i = 0; i < col.length; i++) {
-        const y = head - i;
-        if (y >= 0 && y < this.h) {
-          if (i === 0) {
-            this.r.set(x, y, this.chars[Math.floor(Math.random() * this.chars.length)]);
-          } else {
-            const fade = 1 - i / col.length;
-            if (fade > 0.6) {
-              this.r.set(x, y, this.chars[(this.time + x + y) % this.chars.length]);
-            } else if (fade > 0.3) {
-              this.r.set(x, y, "·");
-            } else {
-              this.r.set(x, y, ".");
-            }
-          }
-        }
-      }
-    }
-    return this.r.render();
+function joinBox(existing, mask, weight) {
+  const glyphs = BOX_GLYPHS[weight] || BOX_GLYPHS.light;
+  return glyphs[mask | (BOX_SIDES.get(existing) || 0)];
+}
+
+/* ---------- sub-cell resolution ---------- */
+/* dot bits per [column][row] inside a cell; Braille patterns are
+   U+2800 + bits, half blocks index HALF_BLOCKS */
+const SUBCELL_MODES = {
+  braille: { sx: 2, sy: 4, bits: [[0x01, 0x02, 0x04, 0x40], [0x08, 0x10, 0x20, 0x80]] },
+  half: { sx: 1, sy: 2, bits: [[1, 2]] },
+};
+const HALF_BLOCKS = [" ", "▀", "▄", "█"];
+
+function subcellBits(mode, ch) {
+  if (mode === "braille") {
+    const code = ch.charCodeAt(0);
+    return code >= 0x2800 && code <= 0x28ff ? code - 0x2800 : 0;
   }
+  return Math.max(0, HALF_BLOCKS.indexOf(ch));
 }
 
-/* ==========================================================
-   ANIMATION: Waveform / Signal Processing
-   ========================================================== */
-class WaveformAnimation {
-  constructor(w, h) {
-    this.r = new ASCIIRenderer(w, h);
-    this.w = w;
-    this.h = h;
-    this.time = 0;
+function subcellGlyph(mode, bits) {
+  if (!bits) return " ";
+  return mode === "braille" ? String.fromCharCode(0x2800 + bits) : HALF_BLOCKS[bits];
+}
+
+/* The renderer's dot grid. It borrows ASCIIRenderer's shape methods,
+   which only ever call set(), so they rasterize at dot resolution. */
+class SubCellSurface {
+  constructor(r, mode) {
+    this.r = r;
+    this.mode = mode;
+    this.sx = SUBCELL_MODES[mode].sx;
+    this.sy = SUBCELL_MODES[mode].sy;
+    this.bits = SUBCELL_MODES[mode].bits;
   }
 
-  update() {
-    this.time += 0.06;
+  get width() { return this.r.width * this.sx; }
+  get height() { return this.r.height * this.sy; }
+
+  /* cell coordinates (cell centers at integers) → dot coordinates */
+  pt(x, y) {
+    return [(x + 0.5) * this.sx - 0.5, (y + 0.5) * this.sy - 0.5];
   }
 
-  draw() {
-    this.r.clear();
-    const midY = this.h / 2;
+  pts(points) {
+    return points.map((p) => {
+      const [x, y] = this.pt(p.x, p.y);
+      return { x, y };
+    });
+  }
 
-    /* draw multiple overlapping waves */
-    const waves = [
-      { amp: this.h * 0.3, freq: 0.08, phase: 0, ch: "█" },
-      { amp: this.h * 0.22, freq: 0.12, phase: 2, ch: "▓" },
-      { amp: this.h * 0.15, freq: 0.18, phase: 4, ch: "░" },
-    ];
+  /* top-left dot of a cell, for rectangles */
+  corner(x, y) {
+    return [Math.round(x) * this.sx, Math.round(y) * this.sy];
+  }
 
-    for (const wave of waves) {
-      for (let x = 0; x < this.w; x++) {
-        const y = midY + Math.sin(x * wave.freq + this.time + wave.phase) * wave.amp;
-        this.r.set(x, Math.round(y), wave.ch);
-        /* fill towards midline for thickness */
-        const dir = y > midY ? -1 : 1;
-        for (let f = 1; f < 2; f++) {
-          this.r.set(x, Math.round(y + f * dir), "·");
-        }
-      }
-    }
+  set(x, y, ch, style) {
+    x = Math.round(x);
+    y = Math.round(y);
+    const cx = Math.floor(x / this.sx);
+    const cy = Math.floor(y / this.sy);
+    if (cx < 0 || cx >= this.r.width || cy < 0 || cy >= this.r.height) return;
+    const bit = this.bits[x - cx * this.sx][y - cy * this.sy];
+    let bits = subcellBits(this.mode, this.r.get(cx, cy));
+    bits = ch === " " ? bits & ~bit : bits | bit;
+    this.r.set(cx, cy, subcellGlyph(this.mode, bits), style);
+  }
+}
 
-    /* center line */
-    for (let x = 0; x < this.w; x++) {
-      if (this.r.get(x, Math.round(midY)) === " ") {
-        this.r.set(x, Math.round(midY), "─");
-      }
-    }
+for (const name of ["line", "dashedLine", "ellipse", "filledEllipse", "rect", "fillRect",
+  "polygon", "fillPolygon", "polyline", "quadBezier", "cubicBezier"]) {
+  SubCellSurface.prototype[name] = ASCIIRenderer.prototype[name];
+}
+
+/* ---------- layer helpers ---------- */
+const LAYER_BLENDS = ["over", "under", "denser"];
+
+/* rough visual weight, light → heavy; anything unlisted (letters,
+   digits, box drawing) counts as mid-weight */
+const GLYPH_DENSITY = " ·.,'`-_:;~^\"=+*<>!|/\\()[]{}?○◌%#&$@●◎◉░▒▓█";
+const DENSITY_RANK = new Map([...GLYPH_DENSITY].map((ch, i) => [ch, i]));
+const DENSITY_DEFAULT = DENSITY_RANK.get("?");
+
+function glyphDensity(ch) {
+  const rank = DENSITY_RANK.get(ch);
+  return rank === undefined ? DENSITY_DEFAULT : rank;
+}
+
+/* a layer's opacity folded into the cell style, cached per source style */
+function layerStyle(layer, style) {
+  if (layer.opacity === 1) return style;
+  let out = layer._styles.get(style);
+  if (!out) {
+    out = {
+      color: style ? style.color : undefined,
+      opacity: (style && style.opacity !== undefined ? style.opacity : 1) * layer.opacity,
+    };
+    layer._styles.set(style, out);
+  }
+  return out;
+}
+
+/* give a layer entry its own changed-row flags (all set, so the first
+   compose takes every row) and have its renderer's commits mark them */
+function watchLayer(layer, height) {
+  layer._rows = new Uint8Array(height).fill(1);
+  layer.renderer._watchers.push(layer._rows);
+}
+
+function unwatchLayer(layer) {
+  const watchers = layer.renderer._watchers;
+  const i = watchers.indexOf(layer._rows);
+  if (i >= 0) watchers.splice(i, 1);
+}
+
+/* ---------- cell style helpers ---------- */
+function sameStyle(a, b) {
+  if (a === b) return true;
+  if (!a || !b) return false;
+  return a.color === b.color && a.opacity === b.opacity;
+}
+
+function escapeHTML(str) {
+  return str.replace(/[&<>]/g, (c) => (c === "&" ? "&amp;" : c === "<" ? "&lt;" : "&gt;"));
+}
+
+function styleToCSS(style) {
+  let css = "";
+  if (style.color) css += "color:" + style.color + ";";
+  if (style.opacity !== undefined && style.opacity !== 1) css += "opacity:" + style.opacity + ";";
+  return css;
+}
+
+function styleToSGR(style) {
+  const codes = [];
+  const m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(style.color || "");
+  if (m) {
+    let hex = m[1];
+    if (hex.length === 3) hex = hex.replace(/./g, "$&$&");
+    const n = parseInt(hex, 16);
+    codes.push(38, 2, (n >> 16) & 255, (n >> 8) & 255, n & 255);
+  }
+  if (style.opacity !== undefined && style.opacity < 0.5) codes.push(2);
+  return codes.join(";");
+}
+
+/* brand palette mirrored from the style.css tokens, for per-cell styling */
+const COLORS = {
+  brand: "#f97316",
+  brandLight: "#fb923c",
+  accent: "#f59e0b",
+  dim: "#64748b",
+};
+
+/* character cells are about twice as tall as they are wide */
+const CELL_ASPECT = 0.5;
+
+/* ---------- easing helpers ---------- */
+function lerp(a, b, t) { return a + (b - a) * t; }
+function smoothstep(t) { return t * t * (3 - 2 * t); }
+function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
+
+/* ---------- seedable PRNG ---------- */
+/* Hash a seed (number or string) down to a 32-bit integer */
+function hashSeed(seed) {
+  const str = String(seed);
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+/* mulberry32 — small, fast and good enough for visuals.
+   Without a seed, falls back to a random one so every page load differs. */
+function createRNG(seed) {
+  let a = seed === undefined || seed === null || seed === ""
+    ? Math.floor(Math.random() * 4294967296)
+    : hashSeed(seed);
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* ==========================================================
+   BANNER FONTS — FIGlet (.flf) fonts and banner layout
+   A font is { name, height, baseline, hardblank, layout, rules, gap,
+   glyphs: Map<charCode, string[]> }. Fonts come from .flf text
+   (parseFIGfont / loadFont) or from the compact built-ins below.
+   layout: "full" (whole glyph widths), "fit" (kerning: glyphs slide
+   together until they touch) or "smush" (they overlap by one column
+   where the FIGlet smushing rules allow).
+   ========================================================== */
+const SMUSH_EQUAL = 1;
+const SMUSH_UNDERSCORE = 2;
+const SMUSH_HIERARCHY = 4;
+const SMUSH_PAIR = 8;
+const SMUSH_BIGX = 16;
+const SMUSH_HARDBLANK = 32;
+const FIT_BIT = 64;
+const SMUSH_BIT = 128;
+
+/* the characters every .flf file defines in order, after 32–126 */
+const FIG_DEUTSCH = [196, 214, 220, 228, 246, 252, 223];
+
+function layoutFromFIG(oldLayout, fullLayout) {
+  if (fullLayout === undefined || Number.isNaN(fullLayout)) {
+    if (oldLayout < 0) return { layout: "full", rules: 0 };
+    if (oldLayout === 0) return { layout: "fit", rules: 0 };
+    return { layout: "smush", rules: oldLayout & 63 };
+  }
+  const rules = fullLayout & 63;
+  if (fullLayout & SMUSH_BIT) return { layout: "smush", rules };
+  if (fullLayout & FIT_BIT) return { layout: "fit", rules };
+  return { layout: "full", rules };
+}
+
+/* parse a FIGlet font file (flf2a); throws on anything that isn't one */
+function parseFIGfont(text, name = "") {
+  const lines = String(text).replace(/\r\n?/g, "\n").split("\n");
+  const header = lines[0].split(" ");
+  if (!/^flf2a/.test(header[0])) {
+    throw new Error("parseFIGfont: " + (name ? "\"" + name + "\"" : "input") + " is not a FIGlet font");
+  }
+  const hardblank = header[0].charAt(5);
+  const height = parseInt(header[1], 10);
+  const baseline = parseInt(header[2], 10);
+  const oldLayout = parseInt(header[4], 10);
+  const commentLines = parseInt(header[5], 10) || 0;
+  const fullLayout = parseInt(header[7], 10);
+  if (!(height > 0)) throw new Error("parseFIGfont: \"" + name + "\" has no glyph height");
+
+  const font = Object.assign({ name, height, baseline, hardblank, gap: 0, glyphs: new Map() },
+    layoutFromFIG(oldLayout, fullLayout));
+
+  let i = 1 + commentLines;
+  /* one glyph = `height` lines, each ended by an end mark (usually @),
+     doubled on the glyph's last line */
+  const readGlyph = () => {
+    if (i + height > lines.length) return null;
+    const rows = [];
+    for (let row = 0; row < height; row++) {
+      const line = lines[i++];
+      const mark = line.charAt(line.length - 1);
+      let end = line.length;
+      while (end > 0 && line.charAt(end - 1) === mark) end--;
+      rows.push(line.slice(0, end));
+    }
+    return rows;
+  };
+
+  for (let code = 32; code <= 126; code++) {
+    const rows = readGlyph();
+    if (!rows) return font;
+    font.glyphs.set(code, rows);
+  }
+  for (const code of FIG_DEUTSCH) {
+    const rows = readGlyph();
+    if (!rows) return font;
+    font.glyphs.set(code, rows);
+  }
+  /* code-tagged glyphs: "<code> [description]" then the glyph */
+  while (i < lines.length) {
+    const tag = lines[i++].trim().split(/\s+/)[0];
+    if (!tag) continue;
+    const code = tag.charAt(0) === "-" ? -Number(tag.slice(1)) : Number(tag);
+    const rows = readGlyph();
+    if (!rows) break;
+    if (!Number.isNaN(code)) font.glyphs.set(code, rows);
+  }
+  return font;
+}
+
+/* build a font from { height, glyphs: { "A": [rows] }, ink, gap, layout };
+   `ink` replaces "#" in the rows, `gap` pads every glyph on the right */
+function makeFont(name, def) {
+  const font = {
+    name,
+    height: def.height,
+    baseline: def.baseline || def.height,
+    hardblank: "$",
+    layout: def.layout || "full",
+    rules: def.rules || 0,
+    gap: def.gap || 0,
+    glyphs: new Map(),
+  };
+  for (const ch of Object.keys(def.glyphs)) {
+    let rows = def.glyphs[ch];
+    const width = Math.max(...rows.map((row) => row.length)) + (def.gap || 0);
+    rows = rows.map((row) => row.padEnd(width));
+    if (def.ink) rows = rows.map((row) => row.replace(/#/g, def.ink));
+    font.glyphs.set(ch.charCodeAt(0), rows);
+  }
+  return font;
+}
+
+const fonts = {};
+
+/* register a parsed font, a makeFont() result or raw .flf text */
+function registerFont(name, font) {
+  fonts[name] = typeof font === "string" ? parseFIGfont(font, name) : font;
+  return fonts[name];
+}
+
+function getFont(nameOrFont) {
+  return typeof nameOrFont === "string" ? fonts[nameOrFont] : nameOrFont;
+}
+
+/* fetch an .flf file and register it (under its URL unless named) */
+function loadFont(url, name = url) {
+  if (fonts[name]) return Promise.resolve(fonts[name]);
+  return fetch(url)
+    .then((res) => {
+      if (!res.ok) throw new Error("loadFont: " + url + " " + res.status);
+      return res.text();
+    })
+    .then((text) => registerFont(name, text));
+}
+
+/* FIGlet's smushing rules for one overlapping column; null = no smush */
+function smushChars(l, r, font) {
+  if (l === " ") return r;
+  if (r === " ") return l;
+  if (font.layout !== "smush") return null;
+  const hb = font.hardblank;
+  const rules = font.rules;
+  /* no rules: universal smushing, the right glyph wins */
+  if (!rules) {
+    if (l === hb) return r;
+    if (r === hb) return l;
+    return r;
+  }
+  if (l === hb || r === hb) return rules & SMUSH_HARDBLANK && l === r ? l : null;
+  if (rules & SMUSH_EQUAL && l === r) return l;
+  if (rules & SMUSH_UNDERSCORE) {
+    if (l === "_" && "|/\\[]{}()<>".includes(r)) return r;
+    if (r === "_" && "|/\\[]{}()<>".includes(l)) return l;
+  }
+  if (rules & SMUSH_HIERARCHY) {
+    const classes = ["|", "/\\", "[]", "{}", "()", "<>"];
+    const cl = classes.findIndex((c) => c.includes(l));
+    const cr = classes.findIndex((c) => c.includes(r));
+    if (cl >= 0 && cr >= 0 && cl !== cr) return cl > cr ? l : r;
+  }
+  if (rules & SMUSH_PAIR && ["[]", "][", "{}", "}{", "()", ")("].includes(l + r)) return "|";
+  if (rules & SMUSH_BIGX) {
+    if (l + r === "/\\") return "|";
+    if (l + r === "\\/") return "Y";
+    if (l + r === "><") return "X";
+  }
+  return null;
+}
+
+/* how many columns the next glyph can slide left into the line */
+function overlapAmount(rows, glyph, font, prevWidth) {
+  if (font.layout === "full" || !prevWidth) return 0;
+  const glyphWidth = glyph[0].length - (font.gap || 0);
+  let amount = glyphWidth;
+  for (let y = 0; y < rows.length; y++) {
+    const line = rows[y];
+    const row = glyph[y];
+    let lineEnd = line.length - 1;
+    while (lineEnd >= 0 && line.charAt(lineEnd) === " ") lineEnd--;
+    let rowStart = 0;
+    while (rowStart < row.length && row.charAt(rowStart) === " ") rowStart++;
+    let amt = rowStart + line.length - 1 - lineEnd;
+    const l = line.charAt(lineEnd);
+    const r = row.charAt(rowStart);
+    if (lineEnd < 0) amt++;
+    else if (r && prevWidth > 1 && glyphWidth > 1 && smushChars(l, r, font) !== null) amt++;
+    amount = Math.min(amount, amt, line.length);
+  }
+  return amount;
+}
+
+/* lay `text` out as banner rows in `font`. Options: layout (overrides the
+   font's), spacing (extra columns between glyphs), align + width (per
+   text line). Returns { rows, width, height, lineHeight, chars, lines }
+   where chars[i] is { top, end } for the i-th non-newline character:
+   the first row of its text line and the column just past its glyph;
+   lines[i] is { top, offset } for each text line. */
+function layoutBanner(text, opts = {}) {
+  const base = getFont(opts.font || "block");
+  if (!base) throw new Error("layoutBanner: unknown font \"" + opts.font + "\"");
+  const font = opts.layout && opts.layout !== "default" ? Object.assign({}, base, { layout: opts.layout }) : base;
+  const spacing = opts.spacing || 0;
+  const out = [];
+  const chars = [];
+  const lines = [];
+
+  for (const textLine of String(text).split("\n")) {
+    const rows = Array(font.height).fill("");
+    const ends = [];
+    let prevWidth = 0;
+    for (const ch of textLine) {
+      const glyph = font.glyphs.get(ch.charCodeAt(0)) ||
+        font.glyphs.get(ch.toUpperCase().charCodeAt(0)) ||
+        font.glyphs.get(ch.toLowerCase().charCodeAt(0));
+      if (!glyph) { ends.push(rows[0].length); continue; }
+      if (spacing && prevWidth) {
+        for (let y = 0; y < rows.length; y++) rows[y] += " ".repeat(spacing);
+      }
+      const amount = spacing ? 0 : overlapAmount(rows, glyph, font, prevWidth);
+      for (let y = 0; y < rows.length; y++) {
+        let line = rows[y];
+        const row = glyph[y] || "";
+        const start = Math.max(0, line.length - amount);
+        let merged = line.slice(0, start);
+        for (let k = start; k < line.length; k++) {
+          const j = k - (line.length - amount);
+          const s = j >= 0 ? smushChars(line.charAt(k), row.charAt(j), font) : null;
+          merged += s === null ? line.charAt(k) : s;
+        }
+        rows[y] = merged + row.slice(amount);
+      }
+      /* FIGlet never smushes one-column glyphs; `gap` padding doesn't
+         count, or a thin glyph like small's "I" merges away entirely */
+      prevWidth = glyph[0].length - (font.gap || 0);
+      ends.push(rows[0].length);
+    }
+    /* hardblanks only exist to stop smushing */
+    const lineWidth = Math.max(...rows.map((row) => row.replace(/ +$/, "").length));
+    let offset = 0;
+    if (opts.width !== undefined && opts.align === "center") offset = Math.floor((opts.width - lineWidth) / 2);
+    else if (opts.width !== undefined && opts.align === "right") offset = opts.width - lineWidth;
+    offset = Math.max(0, offset);
+    const top = out.length;
+    for (const row of rows) {
+      out.push(" ".repeat(offset) + row.split(font.hardblank).join(" ").slice(0, lineWidth).padEnd(lineWidth));
+    }
+    for (const end of ends) chars.push({ top, end: end + offset });
+    lines.push({ top, offset });
+  }
+  return {
+    rows: out,
+    width: Math.max(0, ...out.map((row) => row.length)),
+    height: out.length,
+    lineHeight: font.height,
+    chars,
+    lines,
+  };
+}
+
+/* banner as a plain string, e.g. for the CLI or a static <pre> */
+function renderBanner(text, opts = {}) {
+  return layoutBanner(text, opts).rows.map((row) => row.replace(/\s+$/, "")).join("\n");
+}
+
+/* ---------- built-in fonts ---------- */
+registerFont("block", makeFont("block", {
+  height: 5,
+  ink: "█",
+  gap: 1,
+  glyphs: {
+    "A": [" ## ", "#  #", "####", "#  #", "#  #"],
+    "B": ["### ", "#  #", "### ", "#  #", "### "],
+    "C": [" ###", "#   ", "#   ", "#   ", " ###"],
+    "D": ["### ", "#  #", "#  #", "#  #", "### "],
+    "E": ["####", "#   ", "### ", "#   ", "####"],
+    "F": ["####", "#   ", "### ", "#   ", "#   "],
+    "G": [" ###", "#   ", "# ##", "#  #", " ###"],
+    "H": ["#  #", "#  #", "####", "#  #", "#  #"],
+    "I": ["###", " # ", " # ", " # ", "###"],
+    "J": ["  ##", "   #", "   #", "#  #", " ## "],
+    "K": ["#  #", "# # ", "##  ", "# # ", "#  #"],
+    "L": ["#   ", "#   ", "#   ", "#   ", "####"],
+    "M": ["#   #", "## ##", "# # #", "#   #", "#   #"],
+    "N": ["#   #", "##  #", "# # #", "#  ##", "#   #"],
+    "O": [" ## ", "#  #", "#  #", "#  #", " ## "],
+    "P": ["### ", "#  #", "### ", "#   ", "#   "],
+    "Q": [" ## ", "#  #", "#  #", "# ##", " ###"],
+    "R": ["### ", "#  #", "### ", "# # ", "#  #"],
+    "S": [" ###", "#   ", " ## ", "   #", "### "],
+    "T": ["#####", "  #  ", "  #  ", "  #  ", "  #  "],
+    "U": ["#  #", "#  #", "#  #", "#  #", " ## "],
+    "V": ["#   #", "#   #", "#   #", " # # ", "  #  "],
+    "W": ["#   #", "#   #", "# # #", "## ##", "#   #"],
+    "X": ["#   #", " # # ", "  #  ", " # # ", "#   #"],
+    "Y": ["#   #", " # # ", "  #  ", "  #  ", "  #  "],
+    "Z": ["####", "   #", "  # ", " #  ", "####"],
+    "0": [" ## ", "# ##", "#  #", "## #", " ## "],
+    "1": [" # ", "## ", " # ", " # ", "###"],
+    "2": ["### ", "   #", " ## ", "#   ", "####"],
+    "3": ["### ", "   #", " ## ", "   #", "### "],
+    "4": ["#  #", "#  #", "####", "   #", "   #"],
+    "5": ["####", "#   ", "### ", "   #", "### "],
+    "6": [" ## ", "#   ", "### ", "#  #", " ## "],
+    "7": ["####", "   #", "  # ", " #  ", " #  "],
+    "8": [" ## ", "#  #", " ## ", "#  #", " ## "],
+    "9": [" ## ", "#  #", " ###", "   #", " ## "],
+    " ": ["  ", "  ", "  ", "  ", "  "],
+    ".": [" ", " ", " ", " ", "#"],
+    ",": [" ", " ", " ", "#", "#"],
+    "!": ["#", "#", "#", " ", "#"],
+    "?": ["### ", "   #", " ## ", "    ", " #  "],
+    ":": [" ", "#", " ", "#", " "],
+    "'": ["#", " ", " ", " ", " "],
+    "-": ["   ", "   ", "###", "   ", "   "],
+    "+": ["   ", " # ", "###", " # ", "   "],
+    "_": ["    ", "    ", "    ", "    ", "####"],
+    "/": ["    #", "   # ", "  #  ", " #   ", "#    "],
+    "&": [" #  ", "# # ", " #  ", "# # ", " # #"],
+    "(": [" #", "# ", "# ", "# ", " #"],
+    ")": ["# ", " #", " #", " #", "# "],
+    "%": ["#  #", "  # ", " #  ", "#   ", "   #"],
+  },
+}));
+
+/* line-drawn, in the spirit of FIGlet's "mini"; carries smushing rules
+   for layout: "smush". Only equal and pair smushing: the glyphs end in
+   "_" arms and "|" legs that the underscore and hierarchy rules would
+   overwrite, turning "E" into "|" */
+registerFont("small", makeFont("small", {
+  height: 3,
+  gap: 1,
+  rules: SMUSH_EQUAL | SMUSH_PAIR,
+  glyphs: {
+    "A": [" _ ", "|_|", "| |"],
+    "B": [" _ ", "|_)", "|_)"],
+    "C": [" _", "| ", "|_"],
+    "D": [" _ ", "| \\", "|_/"],
+    "E": [" _", "|_", "|_"],
+    "F": [" _", "|_", "| "],
+    "G": [" __", "/__", "\\_|"],
+    "H": ["   ", "|_|", "| |"],
+    "I": [" ", "|", "|"],
+    "J": ["   ", "  |", "\\_|"],
+    "K": ["  ", "|/", "|\\"],
+    "L": ["  ", "| ", "|_"],
+    "M": ["    ", "|\\/|", "|  |"],
+    "N": ["    ", "|\\ |", "| \\|"],
+    "O": [" _ ", "/ \\", "\\_/"],
+    "P": [" _ ", "|_)", "|  "],
+    "Q": [" _ ", "/ \\", "\\_X"],
+    "R": [" _ ", "|_)", "| \\"],
+    "S": [" __", "(_ ", "__)"],
+    "T": ["___", " | ", " | "],
+    "U": ["   ", "| |", "|_|"],
+    "V": ["    ", "\\  /", " \\/ "],
+    "W": ["      ", "\\    /", " \\/\\/ "],
+    "X": ["  ", "\\/", "/\\"],
+    "Y": ["   ", "\\_/", " | "],
+    "Z": ["__", " /", "/_"],
+    "0": [" _ ", "| |", "|_|"],
+    "1": ["  ", "/|", " |"],
+    "2": [" _ ", " _)", "/__"],
+    "3": ["__ ", " _)", "__)"],
+    "4": ["    ", "|_|_", "  | "],
+    "5": [" __", "|_ ", "__)"],
+    "6": [" _ ", "|_ ", "|_)"],
+    "7": ["___", "  /", " / "],
+    "8": [" _ ", "(_)", "(_)"],
+    "9": [" _ ", "(_|", "  |"],
+    " ": ["$$", "$$", "$$"],
+    ".": [" ", " ", "o"],
+    ",": [" ", " ", ")"],
+    "!": ["|", "|", "o"],
+    "?": ["__ ", " _)", " o "],
+    ":": [" ", "o", "o"],
+    "'": ["|", " ", " "],
+    "-": ["  ", "__", "  "],
+    "+": ["   ", "_|_", " | "],
+    "_": ["   ", "   ", "___"],
+    "/": ["  /", " / ", "/  "],
+    "&": [" _ ", "(_ ", "(_X"],
+    "(": [" /", "| ", " \\"],
+    ")": ["\\ ", " |", "/ "],
+    "%": ["o /", " / ", "/ o"],
+  },
+}));
+
+/* one row, one cell per character — the last resort when nothing fits */
+registerFont("plain", makeFont("plain", {
+  height: 1,
+  glyphs: Object.fromEntries(Array.from({ length: 95 }, (_, i) => {
+    const ch = String.fromCharCode(32 + i);
+    return [ch, [ch]];
+  })),
+}));
+
+/* ==========================================================
+   ANIMATION INTERFACE — base class for built-in and plugin scenes
+   Lifecycle, as driven by the controller and the headless runner:
+     constructor(w, h, opts)  set up state; opts resolved against `schema`
+     init()                   once, before the first frame (may return a Promise)
+     resize(w, h)             grid changed; return false to be rebuilt instead
+     update()                 advance one frame
+     draw()                   paint into this.r and return this.r.render()
+     dispose()                torn down; release timers, listeners, buffers
+     pointer(e)               interactive mode only: { type: "move" | "down" |
+                              "up" | "leave", x, y } in (fractional) cells
+     setOption(key, value)    change an option between frames (scroll bindings,
+                              timeline keyframes)
+     poster()                 seconds in at which a still frame shows the scene
+                              best (reduced motion, paused scroll bindings)
+   The static `schema` declares accepted options:
+     { name: { type: "number" | "string" | "boolean" | "json",
+               default, min, max, values } }
+   ========================================================== */
+class ASCIIAnimation {
+  constructor(w, h, opts = {}) {
+    this.r = new ASCIIRenderer(w, h);
+    this.w = w;
+    this.h = h;
+    this.time = 0;
+    this.opts = opts;
+    this.rng = createRNG(opts.seed);
+    this.r.resolution = opts.resolution || "cell";
+  }
+
+  init() {}
+
+  /* override to re-lay out in place (call resizeGrid first);
+     the default asks the controller to build a fresh instance */
+  resize() {
+    return false;
+  }
+
+  resizeGrid(w, h) {
+    this.w = w;
+    this.h = h;
+    this.r.resize(w, h);
+  }
+
+  update() {
+    this.time++;
+  }
+
+  draw() {
+    return this.r.render();
+  }
+
+  dispose() {}
+
+  pointer() {}
+
+  /* scenes read this.opts every frame, so most options apply live;
+     numbers are held inside the schema's min/max as at construction */
+  setOption(key, value) {
+    this.opts[key] = clampOption(this.constructor.schema, key, value);
+  }
+
+  poster() {
+    return 2;
+  }
+}
+
+ASCIIAnimation.schema = {
+  seed: { type: "string" },
+  resolution: { type: "string", default: "cell", values: ["cell", "braille", "half"] },
+};
+
+/* coerce raw option values (e.g. data-attribute strings) against a schema;
+   unknown keys pass through untouched */
+function resolveOptions(AnimationClass, raw = {}) {
+  const schema = AnimationClass.schema || {};
+  const opts = Object.assign({}, raw);
+  for (const key of Object.keys(schema)) {
+    const def = schema[key];
+    let v = raw[key];
+    if (v === undefined || v === null || v === "") {
+      if (def.default !== undefined) opts[key] = def.default;
+      else delete opts[key];
+      continue;
+    }
+    if (def.type === "number") {
+      v = typeof v === "number" ? v : parseFloat(v);
+      if (Number.isNaN(v)) {
+        console.warn("ASCIIEngine: option \"" + key + "\" expects a number");
+        v = def.default;
+      } else {
+        if (def.min !== undefined) v = Math.max(def.min, v);
+        if (def.max !== undefined) v = Math.min(def.max, v);
+      }
+    } else if (def.type === "boolean") {
+      v = typeof v === "boolean" ? v : !(v === "false" || v === "0" || v === "off");
+    } else if (def.type === "json") {
+      if (typeof v === "string") {
+        try { v = JSON.parse(v); }
+        catch (err) {
+          console.warn("ASCIIEngine: option \"" + key + "\" is not valid JSON");
+          v = def.default;
+        }
+      }
+    } else {
+      v = String(v);
+    }
+    if (def.values && !def.values.includes(v)) {
+      console.warn("ASCIIEngine: option \"" + key + "\" must be one of " + def.values.join(", "));
+      v = def.default;
+    }
+    if (v === undefined) delete opts[key];
+    else opts[key] = v;
+  }
+  return opts;
+}
+
+/* a number kept inside its schema entry's bounds; anything else as is */
+function clampOption(schema, key, value) {
+  const def = schema && schema[key];
+  if (!def || def.type !== "number" || typeof value !== "number") return value;
+  if (def.min !== undefined) value = Math.max(def.min, value);
+  if (def.max !== undefined) value = Math.min(def.max, value);
+  return value;
+}
+
+/* construct + init in one step, so every caller runs the same lifecycle */
+function createAnimation(AnimationClass, w, h, opts) {
+  const animation = new AnimationClass(w, h, resolveOptions(AnimationClass, opts));
+  /* settles once init() has (even if it failed), e.g. before a poster frame.
+     init() still runs now, so synchronous setup is in place for the first update */
+  let result;
+  try {
+    result = typeof animation.init === "function" ? animation.init() : undefined;
+  } catch (err) {
+    result = Promise.reject(err);
+  }
+  animation.ready = Promise.resolve(result).catch((err) => {
+    console.error("ASCIIEngine: init() failed", err);
+  });
+  return animation;
+}
+
+/* ==========================================================
+   ANIMATION: Neural Network
+   A multi-layer network with animated data pulses. `topology`
+   describes the layers — sizes, { name, size } objects or an
+   ONNX/Keras-style summary — and `activations` (one snapshot, or a
+   list played in turn) decides which nodes glow and where pulses run:
+   <div data-ascii="NeuralNetwork"
+        data-topology='[{"name":"EMBED","size":768},{"name":"FFN","size":3072},
+                        {"name":"LOGITS","size":10}]'></div>
+   ========================================================== */
+
+/* [{ name, size }] from any of the accepted topology shapes */
+function parseTopology(spec) {
+  const list = Array.isArray(spec) ? spec : (spec && spec.layers) || [];
+  return list.map((layer, i) => {
+    const fallback = i === 0 ? "INPUT" : i === list.length - 1 ? "OUTPUT" : "HIDDEN";
+    if (typeof layer === "number") return { name: fallback, size: Math.max(1, Math.round(layer)) };
+    const shape = layer.shape || layer.outputShape || layer.output_shape;
+    const size = layer.size || layer.units ||
+      (Array.isArray(shape) ? shape[shape.length - 1] : 0);
+    return {
+      name: String(layer.name || layer.type || fallback),
+      size: Math.max(1, Math.round(size) || 1),
+    };
+  });
+}
+
+/* per-layer magnitudes scaled to [0, 1] by the layer's largest value;
+   a snapshot is an array of layers or an object keyed by layer name */
+function normalizeActivations(snapshot, topology) {
+  return topology.map((layer, l) => {
+    const values = Array.isArray(snapshot) ? snapshot[l] : snapshot && snapshot[layer.name];
+    if (!Array.isArray(values) || !values.length) return null;
+    let max = 0;
+    for (const v of values) max = Math.max(max, Math.abs(v) || 0);
+    return values.map((v) => (max > 0 ? Math.abs(v) / max : 0));
+  });
+}
+
+/* a list of snapshots rather than one: its first entry is itself a
+   snapshot, either an array of per-layer arrays or a plain object */
+function isSnapshotList(acts) {
+  if (!Array.isArray(acts) || !acts.length) return false;
+  const first = acts[0];
+  if (Array.isArray(first)) return Array.isArray(first[0]);
+  return first !== null && typeof first === "object";
+}
+
+/* pulse and node glyphs, brightest first */
+const PULSE_CHARS = ["█", "▓", "▒", "░"];
+const ACTIVATION_GLYPHS = ["●", "◉", "◎", "○"];
+
+class NeuralNetworkAnimation extends ASCIIAnimation {
+  constructor(w, h, opts = {}) {
+    super(w, h, opts);
+
+    this._layout();
+
+    /* pulses */
+    this.pulses = [];
+    this.spawnTimer = 0;
+
+    /* per-cell styles: pulses glow in brand color, connections stay dim */
+    this.palette = {
+      connection: { color: COLORS.dim, opacity: 0.6 },
+      pulse: [
+        { color: COLORS.brandLight },
+        { color: COLORS.brand, opacity: 0.85 },
+        { color: COLORS.brand, opacity: 0.6 },
+        { color: COLORS.brand, opacity: 0.35 },
+      ],
+    };
+  }
+
+  /* a model summary at opts.model replaces the inline topology */
+  init() {
+    if (!this.opts.model) return;
+    return fetch(this.opts.model)
+      .then((res) => {
+        if (!res.ok) throw new Error("NeuralNetwork: " + this.opts.model + " " + res.status);
+        return res.json();
+      })
+      .then((summary) => this.setOption("topology", summary));
+  }
+
+  /* place nodes and connections for the current grid size */
+  _layout() {
+    const w = this.w;
+    const h = this.h;
+
+    this.topology = parseTopology(this.opts.topology);
+    if (this.topology.length < 2) {
+      console.warn("ASCIIEngine: NeuralNetwork topology needs at least two layers");
+      this.topology = parseTopology(NeuralNetworkAnimation.schema.topology.default);
+    }
+
+    /* define layers — each layer is an array of {x,y} */
+    const layers = this.topology.length;
+    const marginX = 6;
+    const spacingX = (w - marginX * 2) / (layers - 1);
+    /* bigger layers show their first and last units around an ellipsis */
+    const maxNodes = Math.max(3, Math.min(this.opts.maxNodes, h - 5));
+
+    this.layers = [];
+    for (let l = 0; l < layers; l++) {
+      const size = this.topology[l].size;
+      const count = Math.min(size, maxNodes);
+      const head = Math.ceil((count - 1) / 2);
+      const lx = marginX + l * spacingX;
+      const spacingY = (h - 4) / (count + 1);
+      const nodes = [];
+      for (let n = 0; n < count; n++) {
+        const node = { x: Math.round(lx), y: Math.round(spacingY * (n + 1) + 2), layer: l };
+        if (size <= maxNodes) node.unit = n;
+        else if (n < head) node.unit = n;
+        else if (n > head) node.unit = size - (count - n);
+        else node.units = [head, size - (count - n) + 1];
+        nodes.push(node);
+      }
+      this.layers.push(nodes);
+    }
+    this.labelWidth = Math.max(3, Math.floor(spacingX) - 1);
+
+    /* pre-compute connections */
+    this.connections = [];
+    for (let l = 0; l < this.layers.length - 1; l++) {
+      for (const a of this.layers[l]) {
+        for (const b of this.layers[l + 1]) {
+          this.connections.push({ ax: a.x, ay: a.y, bx: b.x, by: b.y, a, b, layer: l });
+        }
+      }
+    }
+    this.hover = null;
+  }
+
+  /* pulses refer to connections by index, so they survive a re-layout
+     unless the number of visible nodes changed */
+  resize(w, h) {
+    this.resizeGrid(w, h);
+    this._layout();
+    this.pulses = this.pulses.filter((p) => p.ci < this.connections.length);
+  }
+
+  setOption(key, value) {
+    super.setOption(key, value);
+    if (key === "topology" || key === "maxNodes") {
+      this._layout();
+      this.pulses = [];
+    }
+  }
+
+  /* the snapshot for the current frame, normalized; null without activations */
+  _activations() {
+    let acts = this.opts.activations;
+    if (!acts) return null;
+    /* a list of snapshots — arrays of layers or objects keyed by layer
+       name — steps through them every activationStep seconds */
+    if (isSnapshotList(acts)) {
+      const step = Math.max(1, Math.round(this.opts.activationStep * (this.opts.fps || 20)));
+      acts = acts[Math.floor(this.time / step) % acts.length];
+    }
+    if (this._normalized && this._normalized.source === acts && this._normalized.topology === this.topology) {
+      return this._normalized.values;
+    }
+    this._normalized = { source: acts, topology: this.topology, values: normalizeActivations(acts, this.topology) };
+    return this._normalized.values;
+  }
+
+  /* a node's activation in [0, 1]; ellipsis nodes average what they hide */
+  _level(acts, node) {
+    const values = acts && acts[node.layer];
+    if (!values) return 1;
+    if (node.unit !== undefined) return values[node.unit] || 0;
+    let sum = 0;
+    let n = 0;
+    for (let i = node.units[0]; i < node.units[1] && i < values.length; i++, n++) sum += values[i];
+    return n ? sum / n : 0;
+  }
+
+  _spawn(ci, level = 1) {
+    this.pulses.push({ ci, t: 0, speed: 0.04 + this.rng() * 0.03, level });
+  }
+
+  /* random without activations; otherwise weighted towards connections
+     between strongly active nodes, carrying that strength as brightness */
+  _spawnAuto(acts) {
+    if (!acts) {
+      this._spawn(Math.floor(this.rng() * this.connections.length));
+      return;
+    }
+    const weights = this.connections.map((c) => this._level(acts, c.a) * this._level(acts, c.b));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (total <= 0) return;
+    let pick = this.rng() * total;
+    let ci = 0;
+    while (ci < weights.length - 1 && pick >= weights[ci]) pick -= weights[ci++];
+    this._spawn(ci, Math.sqrt(weights[ci]));
+  }
+
+  /* connections a pulse can leave the node by (incoming for the output layer) */
+  _outgoing(node) {
+    const out = [];
+    this.connections.forEach((c, i) => { if (c.a === node) out.push(i); });
+    if (!out.length) this.connections.forEach((c, i) => { if (c.b === node) out.push(i); });
+    return out;
+  }
+
+  /* hovering a node fires pulses from it; pressing fires a burst */
+  pointer(e) {
+    this.hover = null;
+    if (e.type === "leave") return;
+    let best = 3;
+    for (const layer of this.layers) {
+      for (const node of layer) {
+        const d = Math.hypot(node.x - e.x, (node.y - e.y) * 2);
+        if (d < best) { best = d; this.hover = node; }
+      }
+    }
+    if (this.hover && e.type === "down") {
+      for (const ci of this._outgoing(this.hover)) this._spawn(ci);
+    }
+  }
+
+  update() {
+    this.time++;
+    const acts = this._activations();
+    /* spawn new pulses periodically — opts.pulseRate per frame */
+    this.spawnTimer += this.opts.pulseRate;
+    while (this.spawnTimer >= 1) {
+      this.spawnTimer -= 1;
+      this._spawnAuto(acts);
+    }
+
+    if (this.hover && this.time % 3 === 0) {
+      const out = this._outgoing(this.hover);
+      this._spawn(out[Math.floor(this.rng() * out.length)]);
+    }
+
+    /* advance pulses */
+    for (const p of this.pulses) p.t += p.speed;
+    this.pulses = this.pulses.filter(p => p.t <= 1);
+  }
+
+  draw() {
+    this.r.clear();
+
+    /* draw connections (subtle) */
+    for (const c of this.connections) {
+      this.r.dashedLine(c.ax, c.ay, c.bx, c.by, "·", this.palette.connection);
+    }
+
+    /* layers light up in order as opts.lit goes from 0 to 1; pulses only
+       show once the layer they run into has started to light */
+    const lit = this.opts.lit * this.layers.length;
+    const layerStyle = (l) => {
+      const k = clamp(lit - l, 0, 1);
+      return k < 1 ? { color: COLORS.dim, opacity: lerp(0.3, 1, k) } : null;
+    };
+
+    /* draw pulses — weaker activations start further down the ramp */
+    for (const p of this.pulses) {
+      const c = this.connections[p.ci];
+      if (lit <= c.layer + 1) continue;
+      const start = Math.min(PULSE_CHARS.length - 1, Math.floor((1 - p.level) * PULSE_CHARS.length));
+      const x = Math.round(lerp(c.ax, c.bx, p.t));
+      const y = Math.round(lerp(c.ay, c.by, p.t));
+      this.r.set(x, y, PULSE_CHARS[start], this.palette.pulse[start]);
+      /* trail */
+      for (let trail = start + 1; trail < PULSE_CHARS.length; trail++) {
+        const tt = p.t - (trail - start) * p.speed * 1.5;
+        if (tt >= 0) {
+          const tx = Math.round(lerp(c.ax, c.bx, tt));
+          const ty = Math.round(lerp(c.ay, c.by, tt));
+          if (this.r.get(tx, ty) !== PULSE_CHARS[start]) {
+            this.r.set(tx, ty, PULSE_CHARS[trail], this.palette.pulse[trail]);
+          }
+        }
+      }
+    }
+
+    /* draw nodes — with activations, glyph and color follow the value */
+    const acts = this._activations();
+    for (let l = 0; l < this.layers.length; l++) {
+      const dim = layerStyle(l);
+      for (const node of this.layers[l]) {
+        if (node.units) {
+          this.r.set(node.x, node.y, "…", dim || this.palette.connection);
+          continue;
+        }
+        const level = acts ? this._level(acts, node) : 1;
+        const rank = Math.min(ACTIVATION_GLYPHS.length - 1, Math.floor((1 - level) * ACTIVATION_GLYPHS.length));
+        let style = dim;
+        if (node === this.hover) style = this.palette.pulse[0];
+        else if (!dim && acts) style = rank < 2 ? this.palette.pulse[rank] : null;
+        this.r.set(node.x - 1, node.y, "[", style);
+        this.r.set(node.x, node.y, acts ? ACTIVATION_GLYPHS[rank] : "●", style);
+        this.r.set(node.x + 1, node.y, "]", style);
+      }
+    }
+
+    /* layer labels, and the true size under layers shown collapsed */
+    for (let l = 0; l < this.layers.length; l++) {
+      const lx = this.layers[l][0].x;
+      const label = this.topology[l].name.slice(0, this.labelWidth);
+      this.r.text(lx - Math.floor(label.length / 2), 0, label, layerStyle(l));
+      if (this.layers[l].some((node) => node.units)) {
+        const size = String(this.topology[l].size);
+        this.r.text(lx - Math.floor(size.length / 2), this.h - 1, size, layerStyle(l) || this.palette.connection);
+      }
+    }
+
+    return this.r.render();
+  }
+}
+
+NeuralNetworkAnimation.schema = {
+  ...ASCIIAnimation.schema,
+  topology: {
+    type: "json",
+    default: [
+      { name: "INPUT", size: 3 },
+      { name: "HIDDEN", size: 5 },
+      { name: "DEEP", size: 7 },
+      { name: "HIDDEN", size: 5 },
+      { name: "OUTPUT", size: 2 },
+    ],
+  },
+  /* URL of a JSON model summary, fetched in init() */
+  model: { type: "string" },
+  maxNodes: { type: "number", default: 7, min: 3 },
+  activations: { type: "json" },
+  activationStep: { type: "number", default: 0.5, min: 0.05 },
+  pulseRate: { type: "number", default: 0.2, min: 0, max: 5 },
+  lit: { type: "number", default: 1, min: 0, max: 1 },
+};
+
+/* ==========================================================
+   ANIMATION: Data Stream / Matrix Rain (subtle, blue-themed)
+   ========================================================== */
+class DataStreamAnimation extends ASCIIAnimation {
+  constructor(w, h, opts = {}) {
+    super(w, h, opts);
+    this.chars = "01αβγδεζηθλμνξπρσφψω∑∏∫∂∇≈≠≤≥∞".split("");
+    this.columns = [];
+    this._addColumns(w);
+  }
+
+  _addColumns(w) {
+    const h = this.h;
+    while (this.columns.length < w) {
+      this.columns.push({
+        y: this.rng() * h * 2 - h,
+        speed: 0.2 + this.rng() * 0.5,
+        length: 4 + Math.floor(this.rng() * 12),
+        active: this.rng() > 0.5,
+        glyph: 0,
+      });
+    }
+  }
+
+  /* keep existing columns mid-fall: scale their heads to the new height,
+     drop columns past the right edge, seed new ones for extra width */
+  resize(w, h) {
+    const sy = h / this.h;
+    for (const col of this.columns) col.y *= sy;
+    this.resizeGrid(w, h);
+    this.columns.length = Math.min(this.columns.length, w);
+    this._addColumns(w);
+  }
+
+  /* long enough for the rain to fill the screen */
+  poster() {
+    return 6;
+  }
+
+  update() {
+    this.time++;
+    for (const col of this.columns) {
+      if (!col.active) {
+        if (this.rng() < 0.005) col.active = true;
+        continue;
+      }
+      col.y += col.speed;
+      /* flicker the head glyph here so draw() stays free of side effects */
+      col.glyph = Math.floor(this.rng() * this.chars.length);
+      if (col.y - col.length > this.h) {
+        col.y = -col.length;
+        col.speed = 0.2 + this.rng() * 0.5;
+        col.length = 4 + Math.floor(this.rng() * 12);
+        if (this.rng() < 0.3) col.active = false;
+      }
+    }
+  }
+
+  draw() {
+    this.r.clear();
+    for (let x = 0; x < this.w; x++) {
+      const col = this.columns[x];
+      if (!col.active) continue;
+      const head = Math.floor(col.y);
+      for (let i = 0; i < col.length; i++) {
+        const y = head - i;
+        if (y >= 0 && y < this.h) {
+          if (i === 0) {
+            this.r.set(x, y, this.chars[col.glyph]);
+          } else {
+            const fade = 1 - i / col.length;
+            if (fade > 0.6) {
+              this.r.set(x, y, this.chars[(this.time + x + y) % this.chars.length]);
+            } else if (fade > 0.3) {
+              this.r.set(x, y, "·");
+            } else {
+              this.r.set(x, y, ".");
+            }
+          }
+        }
+      }
+    }
+    return this.r.render();
+  }
+}
+
+/* ==========================================================
+   ANIMATION: Waveform / Signal Processing
+   ========================================================== */
+class WaveformAnimation extends ASCIIAnimation {
+  constructor(w, h, opts = {}) {
+    super(w, h, opts);
+
+    /* back layers fade out; unstyled cells keep the CSS color */
+    this.palette = {
+      layers: [{ opacity: 0.75 }, { opacity: 0.5 }],
+      fill: { opacity: 0.4 },
+    };
+
+    /* amplitude multiplier, eased toward the pointer's height */
+    this.gain = 1;
+    this.targetGain = 1;
+  }
+
+  /* waves are derived from the grid each frame — only the phase is state */
+  resize(w, h) {
+    this.resizeGrid(w, h);
+  }
+
+  /* the main wave stretches to reach the pointer's distance from the midline */
+  pointer(e) {
+    if (e.type === "leave") { this.targetGain = 1; return; }
+    this.targetGain = clamp(Math.abs(e.y - this.h / 2) / (this.h * 0.3), 0.15, 1.6);
+  }
+
+  update() {
+    this.time += this.opts.speed;
+    this.gain = lerp(this.gain, this.targetGain, 0.12);
+  }
+
+  draw() {
+    this.r.clear();
+    const midY = this.h / 2;
+
+    /* draw multiple overlapping waves */
+    const gain = this.gain * this.opts.amplitude;
+    const waves = [
+      { amp: this.h * 0.3 * gain, freq: 0.08, phase: 0, ch: "█", style: null },
+      { amp: this.h * 0.22 * gain, freq: 0.12, phase: 2, ch: "▓", style: this.palette.layers[0] },
+      { amp: this.h * 0.15 * gain, freq: 0.18, phase: 4, ch: "░", style: this.palette.layers[1] },
+    ];
+
+    /* sub-cell modes: smooth curves through fractional sample points */
+    if (this.r.resolution !== "cell") {
+      this.r.dashedLine(0, midY, this.w - 1, midY, "─", null, 3, 1);
+      for (const wave of waves) {
+        const points = [];
+        for (let x = 0; x <= this.w - 1; x += 0.25) {
+          points.push({ x, y: midY + Math.sin(x * wave.freq + this.time + this.opts.phase + wave.phase) * wave.amp });
+        }
+        this.r.polyline(points, wave.ch, wave.style);
+      }
+      return this.r.render();
+    }
+
+    for (const wave of waves) {
+      for (let x = 0; x < this.w; x++) {
+        const y = midY + Math.sin(x * wave.freq + this.time + this.opts.phase + wave.phase) * wave.amp;
+        this.r.set(x, Math.round(y), wave.ch, wave.style);
+        /* fill towards midline for thickness */
+        const dir = y > midY ? -1 : 1;
+        for (let f = 1; f < 2; f++) {
+          this.r.set(x, Math.round(y + f * dir), "·", this.palette.fill);
+        }
+      }
+    }
+
+    /* center line */
+    for (let x = 0; x < this.w; x++) {
+      if (this.r.get(x, Math.round(midY)) === " ") {
+        this.r.set(x, Math.round(midY), "─");
+      }
+    }
+
+    return this.r.render();
+  }
+}
+
+WaveformAnimation.schema = {
+  ...ASCIIAnimation.schema,
+  amplitude: { type: "number", default: 1, min: 0, max: 3 },
+  speed: { type: "number", default: 0.06, min: 0 },
+  /* extra phase in radians, e.g. bound to scroll position */
+  phase: { type: "number", default: 0 },
+};
+
+/* ==========================================================
+   ANIMATION: Brain / AI Visualization
+   A stylized brain outline with pulsing activity
+   ========================================================== */
+class BrainAnimation extends ASCIIAnimation {
+  constructor(w, h, opts = {}) {
+    super(w, h, opts);
+
+    this._layout();
+    const cx = w / 2;
+    const cy = h / 2;
+    const scaleX = w * 0.35;
+    const scaleY = h * 0.4;
+
+    /* internal activity points */
+    this.sparks = [];
+    for (let i = 0; i < 25; i++) {
+      const angle = this.rng() * Math.PI * 2;
+      const radius = this.rng() * 0.7;
+      this.sparks.push({
+        x: cx + Math.cos(angle) * scaleX * 0.4 * radius,
+        y: cy + Math.sin(angle) * scaleY * 0.35 * radius,
+        phase: this.rng() * Math.PI * 2,
+        freq: 0.03 + this.rng() * 0.05,
+      });
+    }
+  }
+
+  /* pre-compute brain outline as a closed polygon: down the left
+     hemisphere, back up the right */
+  _layout() {
+    const cx = this.w / 2;
+    const cy = this.h / 2;
+    const scaleX = this.w * 0.35;
+    const scaleY = this.h * 0.4;
+
+    const left = [];
+    const right = [];
+    for (let t = 0; t <= Math.PI; t += 0.05) {
+      const dx = Math.sin(t) * scaleX * (0.5 + 0.2 * Math.sin(t * 3));
+      const y = cy - Math.cos(t) * scaleY;
+      left.push({ x: cx - dx, y });
+      right.push({ x: cx + dx, y });
+    }
+    this.outline = left.concat(right.reverse());
+  }
+
+  /* spark positions scale linearly with the grid; phases carry over */
+  resize(w, h) {
+    const sx = w / this.w;
+    const sy = h / this.h;
+    for (const s of this.sparks) {
+      s.x *= sx;
+      s.y *= sy;
+    }
+    this.resizeGrid(w, h);
+    this._layout();
+  }
+
+  update() {
+    this.time++;
+  }
+
+  draw() {
+    this.r.clear();
+
+    /* draw outline */
+    this.r.polygon(this.outline, "█");
+
+    /* center line (corpus callosum) */
+    const cx = Math.round(this.w / 2);
+    this.r.line(cx, Math.round(this.h * 0.2), cx, Math.round(this.h * 0.8) - 1, "│");
+
+    /* folds / gyri */
+    for (let i = 0; i < 4; i++) {
+      const fy = Math.round(this.h * (0.25 + i * 0.15));
+      const fw = Math.round(this.w * (0.15 + i * 0.03));
+      if (fw < 3) continue;
+      this.r.line(cx - fw + 1, fy, cx - 2, fy, "~");
+      this.r.line(cx + 2, fy, cx + fw - 1, fy, "~");
+    }
+
+    /* neural sparks */
+    const sparkChars = ["✦", "◆", "●", "○", "·"];
+    for (const s of this.sparks) {
+      const intensity = (Math.sin(this.time * s.freq + s.phase) + 1) / 2;
+      const idx = Math.floor((1 - intensity) * (sparkChars.length - 1));
+      this.r.set(Math.round(s.x), Math.round(s.y), sparkChars[idx]);
+    }
+
+    return this.r.render();
+  }
+}
+
+/* ==========================================================
+   ANIMATION: Floating Nodes / Graph Network (for services)
+   Decorative drifting nodes by default. Given `graph` — or `src`, a
+   URL to the same JSON — it lays out a real node/edge list instead:
+     { "nodes": [{ "id": "nlp", "label": "NLP", "group": "service" }],
+       "edges": [{ "source": "nlp", "target": "llm", "weight": 3 }] }
+   ========================================================== */
+
+/* group colors, in order of first appearance; the first keeps the CSS color */
+const GROUP_STYLES = [null, { color: COLORS.accent }, { color: COLORS.brandLight }, { color: COLORS.brand }];
+
+class GraphAnimation extends ASCIIAnimation {
+  constructor(w, h, opts = {}) {
+    super(w, h, opts);
+
+    this.palette = {
+      focus: { color: COLORS.brandLight },
+      near: { color: COLORS.brand },
+      faded: { color: COLORS.dim, opacity: 0.5 },
+    };
+    this.cursor = null;
+    this.hover = null;
+    this.dragging = null;
+
+    if (opts.graph) {
+      this._buildGraph(opts.graph);
+      return;
+    }
+    this.data = null;
+    this.nodes = [];
+    for (let i = 0; i < 12; i++) {
+      this.nodes.push({
+        x: 4 + this.rng() * (w - 8),
+        y: 2 + this.rng() * (h - 4),
+        vx: (this.rng() - 0.5) * 0.3,
+        vy: (this.rng() - 0.5) * 0.15,
+        label: ["ML", "AI", "DL", "NLP", "CV", "LLM", "GAN", "RL", "CNN", "RNN", "GPU", "TPU"][i],
+      });
+    }
+  }
+
+  init() {
+    if (this.opts.graph || !this.opts.src) return;
+    return fetch(this.opts.src)
+      .then((res) => {
+        if (!res.ok) throw new Error("Graph: " + this.opts.src + " " + res.status);
+        return res.json();
+      })
+      .then((data) => this.setOption("graph", data));
+  }
+
+  setOption(key, value) {
+    super.setOption(key, value);
+    if (key === "graph" && value) this._buildGraph(value);
+  }
+
+  /* nodes by id, edges resolved to node pairs; unknown ends are dropped */
+  _buildGraph(data) {
+    const groups = [];
+    const byId = new Map();
+    this.nodes = (data.nodes || []).map((spec, i) => {
+      if (typeof spec !== "object") spec = { id: spec };
+      const id = String(spec.id !== undefined ? spec.id : i);
+      const group = spec.group !== undefined ? String(spec.group) : "";
+      if (!groups.includes(group)) groups.push(group);
+      const node = {
+        id,
+        label: String(spec.label || id),
+        group: groups.indexOf(group),
+        x: 0, y: 0, vx: 0, vy: 0,
+        neighbors: new Set(),
+      };
+      byId.set(id, node);
+      return node;
+    });
+
+    this.edges = [];
+    let maxWeight = 0;
+    for (const spec of data.edges || data.links || []) {
+      const a = byId.get(String(spec.source !== undefined ? spec.source : spec.from));
+      const b = byId.get(String(spec.target !== undefined ? spec.target : spec.to));
+      if (!a || !b || a === b) continue;
+      const weight = spec.weight !== undefined ? Math.abs(Number(spec.weight)) || 0 : 1;
+      maxWeight = Math.max(maxWeight, weight);
+      a.neighbors.add(b);
+      b.neighbors.add(a);
+      this.edges.push({ a, b, weight });
+    }
+    for (const e of this.edges) e.strength = maxWeight > 0 ? e.weight / maxWeight : 1;
+
+    this.data = data;
+    this.byId = byId;
+    this.hover = null;
+    this.dragging = null;
+    for (const n of this.nodes) {
+      n.x = this._minX(n) + this.rng() * Math.max(1, this._maxX(n) - this._minX(n));
+      n.y = 1 + this.rng() * Math.max(1, this.h - 3);
+    }
+    /* settle before the first frame */
+    for (let i = 0; i < 300; i++) this._simulate();
+  }
+
+  /* x is a label's center; keep the brackets on screen */
+  _minX(n) {
+    return Math.ceil(n.label.length / 2) + 1;
+  }
+
+  _maxX(n) {
+    return this.w - Math.ceil(n.label.length / 2) - 2;
+  }
+
+  /* one force-directed step (Fruchterman–Reingold) with velocities, in
+     space where a row counts as 1/CELL_ASPECT columns so the layout is
+     round on screen rather than squashed */
+  _simulate() {
+    const nodes = this.nodes;
+    const n = nodes.length;
+    if (!n) return;
+    const k = Math.sqrt((this.w * this.h / CELL_ASPECT) / n) * 0.6;
+    const fx = new Float64Array(n);
+    const fy = new Float64Array(n);
+    const index = new Map(nodes.map((node, i) => [node, i]));
+
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const dx = nodes[i].x - nodes[j].x;
+        const dy = (nodes[i].y - nodes[j].y) / CELL_ASPECT;
+        /* labels are wide: treat them as further apart sideways */
+        const pad = (nodes[i].label.length + nodes[j].label.length) / 4;
+        const d = Math.max(0.1, Math.hypot(dx, dy) - pad);
+        const f = (k * k) / d / Math.max(0.1, Math.hypot(dx, dy));
+        fx[i] += dx * f; fy[i] += dy * f;
+        fx[j] -= dx * f; fy[j] -= dy * f;
+      }
+    }
+    for (const e of this.edges) {
+      const i = index.get(e.a);
+      const j = index.get(e.b);
+      const dx = e.a.x - e.b.x;
+      const dy = (e.a.y - e.b.y) / CELL_ASPECT;
+      const d = Math.max(0.1, Math.hypot(dx, dy));
+      /* heavier edges pull harder, so related nodes sit closer */
+      const f = (d / k) * (0.4 + 0.6 * e.strength);
+      fx[i] -= dx * f; fy[i] -= dy * f;
+      fx[j] += dx * f; fy[j] += dy * f;
+    }
+
+    const cx = this.w / 2;
+    const cy = this.h / 2;
+    nodes.forEach((node, i) => {
+      if (node === this.dragging) return;
+      fx[i] += (cx - node.x) * 0.05;
+      fy[i] += ((cy - node.y) / CELL_ASPECT) * 0.05;
+      node.vx = clamp((node.vx + fx[i] * 0.02) * 0.85, -1, 1);
+      node.vy = clamp((node.vy + fy[i] * 0.02) * 0.85, -1, 1);
+      node.x = clamp(node.x + node.vx, this._minX(node), Math.max(this._minX(node), this._maxX(node)));
+      node.y = clamp(node.y + node.vy * CELL_ASPECT, 1, this.h - 2);
+    });
+  }
+
+  /* where labels are drawn: { px, py } per node. The forces treat labels
+     as points, so boxes on the same row can still overlap — above all where
+     nodes are clamped against an edge. Overlapping pairs are pushed apart
+     sideways, or onto a neighbouring row when the row is too full. Only the
+     drawn position moves, so the layout itself stays settled; a dragged
+     node stays put. */
+  _placeLabels() {
+    const nodes = this.nodes;
+    for (const n of nodes) {
+      n.px = n.x;
+      n.py = Math.round(n.y);
+    }
+    const left = (n) => Math.round(n.px - n.label.length / 2) - 1;
+    /* cells past the right bracket of a to the left bracket of b, less one blank */
+    const overlap = (a, b) => left(a) + a.label.length + 3 - left(b);
+    for (let pass = 0; pass < 8; pass++) {
+      let moved = false;
+      for (let i = 0; i < nodes.length; i++) {
+        for (let j = i + 1; j < nodes.length; j++) {
+          if (nodes[i].py !== nodes[j].py) continue;
+          const [a, b] = nodes[i].px <= nodes[j].px ? [nodes[i], nodes[j]] : [nodes[j], nodes[i]];
+          const over = overlap(a, b);
+          if (over <= 0) continue;
+          moved = true;
+          const share = a === this.dragging || b === this.dragging ? over : over / 2;
+          if (a !== this.dragging) a.px = clamp(a.px - share, this._minX(a), Math.max(this._minX(a), this._maxX(a)));
+          if (b !== this.dragging) b.px = clamp(b.px + share, this._minX(b), Math.max(this._minX(b), this._maxX(b)));
+          if (overlap(a, b) <= 0) continue;
+          /* no room sideways: step one to the next row, away from the edge */
+          const mover = b !== this.dragging ? b : a;
+          const other = mover === a ? b : a;
+          const dir = mover.py >= this.h - 2 || (mover.py > 1 && mover.y < other.y) ? -1 : 1;
+          mover.py = clamp(mover.py + dir, 1, this.h - 2);
+        }
+      }
+      if (!moved) break;
+    }
+  }
+
+  /* move nodes proportionally; velocities are kept */
+  resize(w, h) {
+    const sx = w / this.w;
+    const sy = h / this.h;
+    this.resizeGrid(w, h);
+    for (const n of this.nodes) {
+      if (this.data) {
+        n.x = clamp(n.x * sx, this._minX(n), Math.max(this._minX(n), this._maxX(n)));
+        n.y = clamp(n.y * sy, 1, h - 2);
+        continue;
+      }
+      n.x = clamp(n.x * sx, 3, w - 4);
+      n.y = clamp(n.y * sy, 1, h - 2);
+    }
+  }
+
+  /* the node whose label is under (or nearest to) a point, within reach */
+  _nodeAt(x, y) {
+    let best = null;
+    let bestDist = 3;
+    for (const n of this.nodes) {
+      /* measured from where the label is drawn, once it has been */
+      const nx = n.px !== undefined ? n.px : n.x;
+      const ny = n.py !== undefined ? n.py : n.y;
+      const dx = Math.max(0, Math.abs(x - nx) - n.label.length / 2);
+      const d = Math.hypot(dx, (y - ny) / CELL_ASPECT);
+      if (d < bestDist) { bestDist = d; best = n; }
+    }
+    return best;
+  }
+
+  /* decorative nodes flee the cursor and gather while the button is held;
+     graph nodes highlight their neighborhood on hover and can be dragged */
+  pointer(e) {
+    if (this.data) {
+      if (e.type === "leave" || e.type === "up") this.dragging = null;
+      if (e.type === "leave") { this.hover = null; return; }
+      if (this.dragging) {
+        this.dragging.x = clamp(e.x, this._minX(this.dragging), this._maxX(this.dragging));
+        this.dragging.y = clamp(e.y, 1, this.h - 2);
+        return;
+      }
+      this.hover = this._nodeAt(e.x, e.y);
+      if (this.hover && e.type === "down") this.dragging = this.hover;
+      return;
+    }
+    if (e.type === "leave") { this.cursor = null; return; }
+    const pressed = e.type === "down" || (e.type === "move" && this.cursor && this.cursor.pressed);
+    this.cursor = { x: e.x, y: e.y, pressed: e.type !== "up" && pressed };
+  }
+
+  update() {
+    this.time++;
+    if (this.data) {
+      this._simulate();
+      return;
+    }
+    for (const n of this.nodes) {
+      if (this.cursor) {
+        /* rows are ~2× taller than columns are wide */
+        const dx = n.x - this.cursor.x;
+        const dy = (n.y - this.cursor.y) * 2;
+        const dist = Math.hypot(dx, dy);
+        const radius = 14;
+        if (dist > 0.5 && dist < radius) {
+          const force = (1 - dist / radius) * (this.cursor.pressed ? -0.6 : 0.8);
+          n.x += (dx / dist) * force;
+          n.y += (dy / dist) * force * 0.5;
+        }
+      }
+      n.x += n.vx;
+      n.y += n.vy;
+      if (n.x < 3 || n.x > this.w - 4) n.vx *= -1;
+      if (n.y < 1 || n.y > this.h - 2) n.vy *= -1;
+      n.x = clamp(n.x, 3, this.w - 4);
+      n.y = clamp(n.y, 1, this.h - 2);
+    }
+  }
+
+  /* the highlighted node: hovered, else opts.focus, else one in turn
+     every opts.cycle seconds */
+  get focused() {
+    if (this.hover) return this.hover;
+    if (this.opts.focus && this.byId.has(this.opts.focus)) return this.byId.get(this.opts.focus);
+    if (!this.opts.cycle || !this.nodes.length) return null;
+    const every = Math.max(1, Math.round(this.opts.cycle * (this.opts.fps || 20)));
+    return this.nodes[Math.floor(this.time / every) % this.nodes.length];
+  }
+
+  draw() {
+    this.r.clear();
+    if (this.data) return this._drawGraph();
+
+    /* draw connections between close nodes */
+    for (let i = 0; i < this.nodes.length; i++) {
+      for (let j = i + 1; j < this.nodes.length; j++) {
+        const a = this.nodes[i];
+        const b = this.nodes[j];
+        const dist = Math.sqrt((a.x - b.x) ** 2 + ((a.y - b.y) * 2) ** 2);
+        if (dist < 30) this.r.dashedLine(a.x, a.y, b.x, b.y, dist < 15 ? "─" : "·");
+      }
+    }
+
+    /* draw nodes */
+    for (const n of this.nodes) {
+      const nx = Math.round(n.x);
+      const ny = Math.round(n.y);
+      this.r.set(nx - 1, ny, "[");
+      this.r.text(nx, ny, n.label);
+      this.r.set(nx + n.label.length, ny, "]");
+    }
+
+    return this.r.render();
+  }
+
+  /* edges by weight: light dotted, medium solid dots, heavy drawn with a
+     glyph that follows the edge's direction */
+  _drawGraph() {
+    this._placeLabels();
+    const focus = this.focused;
+    for (const e of this.edges) {
+      let style = null;
+      if (focus) style = e.a === focus || e.b === focus ? this.palette.near : this.palette.faded;
+      if (e.strength < 1 / 3) {
+        this.r.dashedLine(e.a.px, e.a.py, e.b.px, e.b.py, "·", style);
+      } else if (e.strength < 2 / 3) {
+        this.r.line(e.a.px, e.a.py, e.b.px, e.b.py, "·", style);
+      } else {
+        const dx = e.b.px - e.a.px;
+        const dy = (e.b.py - e.a.py) / CELL_ASPECT;
+        let ch = (dx > 0) === (dy > 0) ? "╲" : "╱";
+        if (Math.abs(dy) < Math.abs(dx) * 0.6) ch = "─";
+        else if (Math.abs(dx) < Math.abs(dy) * 0.3) ch = "│";
+        this.r.line(e.a.px, e.a.py, e.b.px, e.b.py, ch, style);
+      }
+    }
+
+    for (const n of this.nodes) {
+      let style = GROUP_STYLES[n.group % GROUP_STYLES.length];
+      if (focus) {
+        if (n === focus) style = this.palette.focus;
+        else if (!focus.neighbors.has(n)) style = this.palette.faded;
+      }
+      const x = Math.round(n.px - n.label.length / 2);
+      const y = n.py;
+      this.r.set(x - 1, y, n === focus ? "◆" : "[", style);
+      this.r.text(x, y, n.label, style);
+      this.r.set(x + n.label.length, y, n === focus ? "◆" : "]", style);
+    }
+
+    return this.r.render();
+  }
+}
+
+GraphAnimation.schema = {
+  ...ASCIIAnimation.schema,
+  graph: { type: "json" },
+  /* URL of the same JSON, fetched in init() */
+  src: { type: "string" },
+  /* id of a node whose neighborhood stays highlighted */
+  focus: { type: "string" },
+  /* seconds per node when highlighting each in turn; 0 turns it off */
+  cycle: { type: "number", default: 4, min: 0 },
+};
+
+/* ==========================================================
+   ANIMATION: Image / Video to ASCII
+   Samples luminance from an image, video or canvas into the grid
+   through a glyph ramp, optionally dissolving in from another scene:
+   <div data-ascii="Image" data-src="images/team/member-1.png"
+        data-from="DataStream" data-dither="ordered"></div>
+   Headless callers can pass `pixels` ({ width, height, data } RGBA)
+   or `source` (an element) instead of a URL.
+   ========================================================== */
+const BAYER_4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5],
+];
+
+class ImageAnimation extends ASCIIAnimation {
+  constructor(w, h, opts = {}) {
+    super(w, h, opts);
+    this.ramp = opts.ramp.split("");
+    this.source = opts.source || null;
+    this.pixels = opts.pixels || null;
+    this.levels = null;
+    this.loadedAt = this.pixels || this.source ? 0 : null;
+
+    /* scene shown before (and dissolving into) the image */
+    const From = opts.from ? getAnimation(opts.from) : null;
+    if (opts.from && !From) console.warn("ASCIIEngine: unknown animation \"" + opts.from + "\"");
+    this.from = From ? createAnimation(From, w, h, { seed: opts.seed }) : null;
+    this._makeMask();
+  }
+
+  init() {
+    if (this.source || this.pixels || !this.opts.src) return this._sample();
+    return loadImageSource(this.opts.src).then((source) => {
+      this.source = source;
+      this.loadedAt = this.time;
+      this._sample();
+    });
+  }
+
+  /* per-cell switch-over threshold in [0, 1) */
+  _makeMask() {
+    const n = this.w * this.h;
+    this.mask = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      this.mask[i] = this.opts.transition === "wipe"
+        ? ((i % this.w) + this.rng() * 4) / (this.w + 4)
+        : this.rng();
+    }
+  }
+
+  /* luminance in [0, 1] per cell, fitted to the grid */
+  _sample() {
+    let lum = null;
+    if (this.pixels) lum = sampleLuminance(this.pixels, this.w, this.h, this.opts.fit);
+    else if (this.source) lum = sampleSourceLuminance(this.source, this.w, this.h, this.opts.fit);
+    this.levels = lum ? this._quantize(lum) : null;
+  }
+
+  /* contrast + invert, then dither down to ramp indices */
+  _quantize(lum) {
+    const { w, h } = this;
+    const steps = this.ramp.length - 1;
+    const contrast = this.opts.contrast;
+    const v = new Float32Array(w * h);
+    for (let i = 0; i < v.length; i++) {
+      if (lum[i] < 0) { v[i] = -1; continue; }     /* letterbox */
+      let l = clamp((lum[i] - 0.5) * contrast + 0.5, 0, 1);
+      if (this.opts.invert) l = 1 - l;
+      v[i] = l;
+    }
+    const out = new Int16Array(w * h).fill(-1);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const i = y * w + x;
+        if (v[i] < 0) continue;
+        let l = v[i];
+        if (this.opts.dither === "ordered") {
+          l += (BAYER_4[y % 4][x % 4] / 16 - 0.5) / steps;
+        }
+        const q = clamp(Math.round(l * steps), 0, steps);
+        out[i] = q;
+        if (this.opts.dither === "floyd-steinberg") {
+          const err = l - q / steps;
+          diffuse(v, w, h, x + 1, y, err * 7 / 16);
+          diffuse(v, w, h, x - 1, y + 1, err * 3 / 16);
+          diffuse(v, w, h, x, y + 1, err * 5 / 16);
+          diffuse(v, w, h, x + 1, y + 1, err * 1 / 16);
+        }
+      }
+    }
+    return out;
+  }
+
+  resize(w, h) {
+    this.resizeGrid(w, h);
+    this._makeMask();
+    if (this.from && this.from.resize(w, h) === false) {
+      this.from = createAnimation(this.from.constructor, w, h, { seed: this.opts.seed });
+    }
+    this._sample();
+  }
+
+  /* once the transition has finished */
+  poster() {
+    return this.from ? (this.opts.hold + this.opts.duration) / (this.opts.fps || 20) : 0;
+  }
+
+  /* 0 → only the `from` scene, 1 → only the image */
+  get progress() {
+    if (!this.from) return 1;
+    if (this.loadedAt === null) return 0;
+    const t = this.time - this.loadedAt - this.opts.hold;
+    return clamp(t / this.opts.duration, 0, 1);
+  }
+
+  update() {
+    this.time++;
+    if (this.from && this.progress < 1) this.from.update();
+    /* video and canvas sources change under us — resample every frame */
+    if (this.source && isLiveSource(this.source)) this._sample();
+  }
+
+  draw() {
+    this.r.clear();
+    const p = this.progress;
+    const fromR = this.from && p < 1 ? (this.from.draw(), this.from.r) : null;
+    for (let y = 0; y < this.h; y++) {
+      for (let x = 0; x < this.w; x++) {
+        const i = y * this.w + x;
+        if (this.mask[i] >= p) {
+          if (fromR) this.r.set(x, y, fromR.front[y][x], fromR.frontStyles[y][x]);
+        } else if (this.levels && this.levels[i] >= 0) {
+          this.r.set(x, y, this.ramp[this.levels[i]]);
+        }
+      }
+    }
+    return this.r.render();
+  }
+
+  dispose() {
+    if (this.from) this.from.dispose();
+    /* a video we loaded keeps decoding until it's unloaded */
+    if (this.source && this.source.tagName === "VIDEO" && this.source !== this.opts.source) {
+      this.source.pause();
+      this.source.removeAttribute("src");
+      this.source.load();
+    }
+  }
+}
+
+ImageAnimation.schema = {
+  ...ASCIIAnimation.schema,
+  src: { type: "string" },
+  ramp: { type: "string", default: " .:-=+*#%@" },
+  dither: { type: "string", default: "none", values: ["none", "ordered", "floyd-steinberg"] },
+  invert: { type: "boolean", default: false },
+  contrast: { type: "number", default: 1, min: 0 },
+  fit: { type: "string", default: "contain", values: ["contain", "cover"] },
+  from: { type: "string" },
+  transition: { type: "string", default: "dissolve", values: ["dissolve", "wipe"] },
+  hold: { type: "number", default: 30, min: 0 },
+  duration: { type: "number", default: 60, min: 1 },
+};
+
+function diffuse(v, w, h, x, y, err) {
+  if (x < 0 || x >= w || y >= h) return;
+  const i = y * w + x;
+  if (v[i] >= 0) v[i] += err;
+}
+
+/* where the source lands on the grid, in cells: { x, y, w, h } */
+function fitRect(srcW, srcH, cols, rows, fit) {
+  const srcAspect = (srcW / srcH) / CELL_ASPECT;
+  const gridAspect = cols / rows;
+  const wider = srcAspect > gridAspect;
+  let w, h;
+  if ((fit === "cover") === wider) { h = rows; w = rows * srcAspect; }
+  else { w = cols; h = cols / srcAspect; }
+  return { x: (cols - w) / 2, y: (rows - h) / 2, w, h };
+}
+
+/* box-average RGBA pixels into cells; -1 marks cells outside the image.
+   `rect` overrides where the pixels land (default: fitted to the grid) */
+function sampleLuminance(pixels, cols, rows, fit, rect) {
+  const { width, height, data } = pixels;
+  if (!rect) rect = fitRect(width, height, cols, rows, fit);
+  const lum = new Float32Array(cols * rows).fill(-1);
+  for (let cy = 0; cy < rows; cy++) {
+    for (let cx = 0; cx < cols; cx++) {
+      const u0 = (cx - rect.x) / rect.w, u1 = (cx + 1 - rect.x) / rect.w;
+      const v0 = (cy - rect.y) / rect.h, v1 = (cy + 1 - rect.y) / rect.h;
+      if (u1 <= 0 || v1 <= 0 || u0 >= 1 || v0 >= 1) continue;
+      const px0 = clamp(Math.floor(u0 * width), 0, width - 1);
+      const px1 = clamp(Math.ceil(u1 * width), px0 + 1, width);
+      const py0 = clamp(Math.floor(v0 * height), 0, height - 1);
+      const py1 = clamp(Math.ceil(v1 * height), py0 + 1, height);
+      let sum = 0, n = 0;
+      for (let py = py0; py < py1; py++) {
+        for (let px = px0; px < px1; px++) {
+          const o = (py * width + px) * 4;
+          const a = data[o + 3] / 255;
+          /* transparent pixels read as black */
+          sum += a * (0.2126 * data[o] + 0.7152 * data[o + 1] + 0.0722 * data[o + 2]) / 255;
+          n++;
+        }
+      }
+      lum[cy * cols + cx] = sum / n;
+    }
+  }
+  return lum;
+}
+
+/* browser path: let drawImage do the averaging into a grid-sized canvas */
+function sampleSourceLuminance(source, cols, rows, fit) {
+  const srcW = source.videoWidth || source.naturalWidth || source.width;
+  const srcH = source.videoHeight || source.naturalHeight || source.height;
+  if (!srcW || !srcH) return null;
+  const rect = fitRect(srcW, srcH, cols, rows, fit);
+  const canvas = sampleSourceLuminance.canvas || (sampleSourceLuminance.canvas = document.createElement("canvas"));
+  canvas.width = cols;
+  canvas.height = rows;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.clearRect(0, 0, cols, rows);
+  ctx.drawImage(source, rect.x, rect.y, rect.w, rect.h);
+  /* the canvas is already fitted: one pixel per cell */
+  const lum = sampleLuminance(ctx.getImageData(0, 0, cols, rows), cols, rows, fit, { x: 0, y: 0, w: cols, h: rows });
+  /* blank out the letterbox drawImage left transparent */
+  for (let cy = 0; cy < rows; cy++) {
+    for (let cx = 0; cx < cols; cx++) {
+      if (cx + 1 <= rect.x || cx >= rect.x + rect.w || cy + 1 <= rect.y || cy >= rect.y + rect.h) {
+        lum[cy * cols + cx] = -1;
+      }
+    }
+  }
+  return lum;
+}
+
+function isLiveSource(source) {
+  return source.tagName === "VIDEO" || source.tagName === "CANVAS";
+}
+
+/* load a URL as an <img>, or a muted looping <video> for video files.
+   Needs a DOM; headless callers decode the file themselves and pass `pixels`. */
+function loadImageSource(src) {
+  if (typeof document === "undefined" || typeof Image === "undefined") {
+    return Promise.reject(new Error("loading \"" + src + "\" needs a browser; pass pixels instead"));
+  }
+  if (/\.(mp4|webm|ogv|mov)(\?|#|$)/i.test(src)) {
+    const video = document.createElement("video");
+    video.muted = true;
+    video.loop = true;
+    video.playsInline = true;
+    video.autoplay = true;
+    video.src = src;
+    return new Promise((resolve, reject) => {
+      video.addEventListener("loadeddata", () => resolve(video), { once: true });
+      video.addEventListener("error", () => reject(new Error("failed to load " + src)), { once: true });
+      video.play().catch(() => {});
+    });
+  }
+  const img = new Image();
+  img.crossOrigin = "anonymous";
+  img.src = src;
+  return img.decode().then(() => img);
+}
+
+/* ==========================================================
+   ANIMATION: Banner
+   Big FIGlet-font text that types in, sweeps in or glitches:
+   <div data-ascii="Banner" data-text="MIND FOX" data-effect="glitch"></div>
+   `font` is a comma-separated fallback list of registered names or
+   .flf URLs; the first one whose banner fits the grid is used.
+   ========================================================== */
+const NOISE_GLYPHS = "░▒▓#%@*+=<>/\\".split("");
+
+/* stable per-cell noise in [0, 1), so draw() needs no RNG */
+function cellNoise(x, y, t) {
+  let n = Math.imul(x, 374761393) + Math.imul(y, 668265263) + Math.imul(t, 2246822519);
+  n = Math.imul(n ^ (n >>> 13), 1274126177);
+  return ((n ^ (n >>> 16)) >>> 0) / 4294967296;
+}
+
+class BannerAnimation extends ASCIIAnimation {
+  constructor(w, h, opts = {}) {
+    super(w, h, opts);
+    this.text = opts.text.replace(/\\n/g, "\n");
+    this.fontNames = opts.font.split(",").map((name) => name.trim()).filter(Boolean);
+    this.start = 0;
+    this.banner = null;
+    this.burst = null;
+
+    this.palette = {
+      cursor: { color: COLORS.brand },
+      edge: { color: COLORS.brandLight },
+      noise: { color: COLORS.brand, opacity: 0.7 },
+    };
+    if (this.fontNames.every((name) => getFont(name))) this._layout();
+  }
+
+  /* .flf URLs in the font list are fetched before the first layout */
+  init() {
+    const urls = this.fontNames.filter((name) => !getFont(name) && /(\/|\.flf$)/.test(name));
+    if (!urls.length) return;
+    return Promise.all(urls.map((url) => loadFont(url).catch((err) => {
+      console.warn("ASCIIEngine: " + err.message);
+    }))).then(() => {
+      this.start = this.time;
+      this._layout();
+    });
+  }
+
+  _layout() {
+    const layoutOpts = {
+      layout: this.opts.layout,
+      spacing: this.opts.spacing,
+      align: this.opts.align,
+      width: this.w,
+    };
+    let banner = null;
+    for (const name of [...this.fontNames, "plain"]) {
+      if (!getFont(name)) continue;
+      banner = layoutBanner(this.text, Object.assign({ font: name }, layoutOpts));
+      if (banner.width <= this.w && banner.height <= this.h) break;
+    }
+    this.banner = banner;
+    this.top = Math.max(0, Math.floor((this.h - banner.height) / 2));
+
+    /* ink cells, each tagged with the source character it belongs to */
+    this.cells = [];
+    banner.rows.forEach((row, y) => {
+      for (let x = 0; x < row.length; x++) {
+        if (row.charAt(x) === " ") continue;
+        let order = banner.chars.findIndex((c) => c.top <= y && y < c.top + banner.lineHeight && c.end > x);
+        if (order < 0) order = banner.chars.length - 1;
+        this.cells.push({ x, y: y + this.top, ch: row.charAt(x), order });
+      }
+    });
+  }
+
+  resize(w, h) {
+    this.resizeGrid(w, h);
+    if (this.banner) this._layout();
+  }
+
+  /* frames since the effect (re)started */
+  get elapsed() {
+    return this.time - this.start;
+  }
+
+  /* frames the intro takes before the banner is complete */
+  get introLength() {
+    if (!this.banner) return 0;
+    return this.opts.effect === "type"
+      ? this.banner.chars.length * this.opts.speed
+      : this.opts.duration;
+  }
+
+  /* the complete banner, before any glitch burst */
+  poster() {
+    return (this.introLength + 1) / (this.opts.fps || 20);
+  }
+
+  update() {
+    this.time++;
+    if (!this.banner) return;
+    const { effect, loop, hold, intensity } = this.opts;
+    if (effect !== "glitch" && loop && this.elapsed > this.introLength + hold) {
+      this.start = this.time;
+    }
+    /* glitch bursts: a few torn rows, shifted sideways for a few frames */
+    if (effect === "glitch") {
+      if (this.burst && this.time >= this.burst.until) this.burst = null;
+      if (!this.burst && this.elapsed > this.opts.duration && this.rng() < 0.02 * intensity) {
+        const shifts = new Map();
+        const rows = 1 + Math.floor(this.rng() * 3);
+        for (let i = 0; i < rows; i++) {
+          const y = this.top + Math.floor(this.rng() * this.banner.height);
+          shifts.set(y, Math.round((this.rng() * 2 - 1) * 4));
+        }
+        this.burst = { until: this.time + 3 + Math.floor(this.rng() * 6), shifts };
+      }
+    }
+  }
+
+  draw() {
+    this.r.clear();
+    if (!this.banner) return this.r.render();
+    const effect = this.opts.effect;
+    if (effect === "type") this._drawTyped();
+    else if (effect === "reveal") this._drawReveal();
+    else this._drawGlitch();
+    return this.r.render();
+  }
+
+  _drawTyped() {
+    const typed = Math.floor(this.elapsed / this.opts.speed);
+    for (const cell of this.cells) {
+      if (cell.order < typed) this.r.set(cell.x, cell.y, cell.ch);
+    }
+    /* blinking block cursor after the last typed character */
+    if (Math.floor(this.elapsed / 8) % 2) return;
+    const { chars, lines, lineHeight } = this.banner;
+    const last = chars[Math.min(typed, chars.length) - 1];
+    const x = last ? last.end : lines[0].offset;
+    const top = last ? last.top : 0;
+    for (let y = 0; y < lineHeight; y++) {
+      this.r.set(x, this.top + top + y, "▌", this.palette.cursor);
+    }
+  }
+
+  /* left-to-right sweep with a ragged, noisy leading edge */
+  _drawReveal() {
+    const width = this.banner.width + 6;
+    const edge = (this.elapsed / this.opts.duration) * width;
+    for (const cell of this.cells) {
+      const front = cell.x + cellNoise(cell.x, cell.y, 0) * 4;
+      if (front < edge - 2) {
+        this.r.set(cell.x, cell.y, cell.ch);
+      } else if (front < edge) {
+        const g = NOISE_GLYPHS[Math.floor(cellNoise(cell.x, cell.y, this.time) * NOISE_GLYPHS.length)];
+        this.r.set(cell.x, cell.y, g, this.palette.edge);
+      }
+    }
+  }
+
+  /* resolves out of noise, then tears now and then */
+  _drawGlitch() {
+    const intro = clamp(1 - this.elapsed / this.opts.duration, 0, 1);
+    const burst = this.burst;
+    for (const cell of this.cells) {
+      const shift = burst ? burst.shifts.get(cell.y) || 0 : 0;
+      const n = cellNoise(cell.x, cell.y, this.time);
+      if (n < intro * 0.6) continue;
+      if (n < intro || (shift && n < 0.3)) {
+        const g = NOISE_GLYPHS[Math.floor(cellNoise(cell.y, cell.x, this.time) * NOISE_GLYPHS.length)];
+        this.r.set(cell.x + shift, cell.y, g, this.palette.noise);
+      } else {
+        this.r.set(cell.x + shift, cell.y, cell.ch, shift ? this.palette.noise : null);
+      }
+    }
+  }
+}
+
+BannerAnimation.schema = {
+  ...ASCIIAnimation.schema,
+  text: { type: "string", default: "MIND FOX" },
+  font: { type: "string", default: "block,small" },
+  align: { type: "string", default: "center", values: ["left", "center", "right"] },
+  layout: { type: "string", default: "default", values: ["default", "full", "fit", "smush"] },
+  spacing: { type: "number", default: 0, min: 0, max: 8 },
+  effect: { type: "string", default: "type", values: ["type", "reveal", "glitch"] },
+  speed: { type: "number", default: 3, min: 1 },
+  duration: { type: "number", default: 40, min: 1 },
+  hold: { type: "number", default: 90, min: 0 },
+  loop: { type: "boolean", default: false },
+  intensity: { type: "number", default: 0.5, min: 0, max: 1 },
+};
+
+/* ==========================================================
+   ANIMATION: Composite
+   Several scenes stacked as renderer layers in one controller,
+   bottom to top. Entries are names or
+     { animation, z, blend, opacity, options }:
+   <div data-ascii="Composite"
+        data-layers='[{"animation":"DataStream","opacity":0.35},"NeuralNetwork"]'></div>
+   ========================================================== */
+class CompositeAnimation extends ASCIIAnimation {
+  constructor(w, h, opts = {}) {
+    super(w, h, opts);
+    const entries = Array.isArray(opts.layers) ? opts.layers : [];
+    this.children = [];
+    entries.forEach((entry, i) => {
+      const spec = typeof entry === "string" ? { animation: entry } : entry;
+      const AnimationClass = getAnimation(spec.animation);
+      if (!AnimationClass) {
+        console.warn("ASCIIEngine: unknown animation \"" + spec.animation + "\"");
+        return;
+      }
+      const childOpts = Object.assign({ fps: opts.fps }, spec.options);
+      if (opts.seed !== undefined) childOpts.seed = opts.seed + ":" + i;
+      const child = {
+        name: spec.name || spec.animation + ":" + i,
+        opts: childOpts,
+        animation: createAnimation(AnimationClass, w, h, childOpts),
+      };
+      this.r.layer(child.name, {
+        z: spec.z !== undefined ? spec.z : i,
+        blend: spec.blend,
+        opacity: spec.opacity,
+      }, child.animation.r);
+      this.children.push(child);
+    });
+  }
+
+  resize(w, h) {
+    this.resizeGrid(w, h);
+    for (const child of this.children) {
+      if (child.animation.resize(w, h) !== false) continue;
+      child.animation.dispose();
+      child.animation = createAnimation(child.animation.constructor, w, h, child.opts);
+      this.r.layer(child.name, {}, child.animation.r);
+    }
+  }
+
+  pointer(e) {
+    for (const child of this.children) child.animation.pointer(e);
+  }
+
+  poster() {
+    return Math.max(0, ...this.children.map((child) => child.animation.poster()));
+  }
+
+  /* forwarded to every layer that declares the option */
+  setOption(key, value) {
+    super.setOption(key, value);
+    for (const child of this.children) {
+      if (!(key in (child.animation.constructor.schema || {}))) continue;
+      child.opts[key] = value;
+      child.animation.setOption(key, value);
+    }
+  }
+
+  update() {
+    this.time++;
+    for (const child of this.children) child.animation.update();
+  }
+
+  draw() {
+    for (const child of this.children) child.animation.draw();
+    return this.r.render();
+  }
+
+  dispose() {
+    for (const child of this.children) child.animation.dispose();
+  }
+}
+
+CompositeAnimation.schema = {
+  ...ASCIIAnimation.schema,
+  layers: { type: "json", default: ["DataStream", "NeuralNetwork"] },
+};
+
+/* ==========================================================
+   ANIMATION: Timeline
+   Scripted scene sequence. Each scene plays for `duration` seconds
+   and dissolves, wipes or cuts in from the one before; `keyframes`
+   tween its numeric options over the scene's local time:
+     [{ "animation": "Brain", "duration": 4 },
+      { "animation": "Waveform", "duration": 5, "transition": "wipe",
+        "keyframes": { "amplitude": [[0, 0.2], [2.5, 1.4], [5, 0.6]] } }]
+   At the end it loops (fading back into the first scene) or holds the
+   last one. play(), pause() and seek(seconds) drive it from outside,
+   e.g. from scroll position.
+   ========================================================== */
+class TimelineAnimation extends ASCIIAnimation {
+  constructor(w, h, opts = {}) {
+    super(w, h, opts);
+    this.fps = opts.fps;
+    this.frame = 0;
+    this.playing = true;
+    this.looped = false;
+
+    let start = 0;
+    this.scenes = [];
+    (Array.isArray(opts.scenes) ? opts.scenes : []).forEach((spec, i) => {
+      if (typeof spec === "string") spec = { animation: spec };
+      const AnimationClass = getAnimation(spec.animation);
+      if (!AnimationClass) {
+        console.warn("ASCIIEngine: unknown animation \"" + spec.animation + "\"");
+        return;
+      }
+      const duration = Math.max(1, Math.round((spec.duration !== undefined ? spec.duration : 4) * this.fps));
+      const transition = spec.transition || opts.transition;
+      const fade = transition === "cut" ? 0 : Math.round(
+        (spec.transitionDuration !== undefined ? spec.transitionDuration : opts.transitionDuration) * this.fps);
+      this.scenes.push({
+        Class: AnimationClass,
+        opts: Object.assign({}, spec.options,
+          opts.seed !== undefined ? { seed: opts.seed + ":" + i } : null,
+          { fps: this.fps }),
+        keyframes: keyframeTracks(spec.keyframes),
+        start,
+        duration,
+        transition,
+        fade: Math.min(fade, duration),
+        animation: null,
+        local: 0,
+      });
+      start += duration;
+    });
+    this.totalFrames = start;
+    this._makeMask();
+    if (this.scenes.length) this._sync();
+  }
+
+  /* ---------- controls ---------- */
+  play() { this.playing = true; }
+  pause() { this.playing = false; }
+
+  /* total length and playhead, in seconds */
+  get duration() { return this.totalFrames / this.fps; }
+  get currentTime() { return Math.min(this.frame, this.totalFrames) / this.fps; }
+
+  /* jump to a time; scenes are rebuilt and fast-forwarded when going
+     back, so a given time always shows the same frame for a given seed */
+  seek(seconds) {
+    if (!this.scenes.length) return;
+    this.frame = clamp(Math.round(seconds * this.fps), 0, this.totalFrames);
+    this._sync();
+  }
+
+  /* ---------- scheduling ---------- */
+  /* per-cell switch-over threshold, as in the Image dissolve */
+  _makeMask() {
+    const n = this.w * this.h;
+    this.masks = {
+      dissolve: new Float32Array(n),
+      wipe: new Float32Array(n),
+    };
+    for (let i = 0; i < n; i++) {
+      this.masks.dissolve[i] = this.rng();
+      this.masks.wipe[i] = ((i % this.w) + this.rng() * 4) / (this.w + 4);
+    }
+  }
+
+  /* the scene on screen and the one it is fading from, if any */
+  _active() {
+    const last = this.scenes.length - 1;
+    let index = this.scenes.findIndex((s) => this.frame < s.start + s.duration);
+    if (index < 0) index = last;
+    const scene = this.scenes[index];
+    const local = this.frame - scene.start;
+    let from = null;
+    let fromLocal = 0;
+    if (local < scene.fade && (index > 0 || this.looped) && this.scenes.length > 1) {
+      from = this.scenes[index > 0 ? index - 1 : last];
+      fromLocal = index > 0 ? this.frame - from.start : this.frame + this.totalFrames - from.start;
+    }
+    return { scene, local, from, fromLocal };
+  }
+
+  /* bring scene animations to the playhead; others are released */
+  _sync() {
+    const { scene, local, from, fromLocal } = this._active();
+    for (const s of this.scenes) {
+      if (s !== scene && s !== from && s.animation) {
+        s.animation.dispose();
+        s.animation = null;
+      }
+    }
+    this._advance(scene, local);
+    if (from) this._advance(from, fromLocal);
+  }
+
+  _advance(scene, local) {
+    if (!scene.animation || scene.local > local) {
+      if (scene.animation) scene.animation.dispose();
+      scene.animation = createAnimation(scene.Class, this.w, this.h, scene.opts);
+      scene.local = 0;
+    }
+    while (scene.local < local) {
+      this._applyKeyframes(scene, scene.local);
+      scene.animation.update();
+      scene.local++;
+    }
+  }
+
+  /* numeric tracks ease between keyframes; anything else steps */
+  _applyKeyframes(scene, local) {
+    const t = local / this.fps;
+    for (const key of Object.keys(scene.keyframes)) {
+      const track = scene.keyframes[key];
+      let value = track[0][1];
+      for (let i = 0; i < track.length; i++) {
+        const [t0, v0] = track[i];
+        if (t < t0) break;
+        value = v0;
+        const next = track[i + 1];
+        if (next && t < next[0] && typeof v0 === "number" && typeof next[1] === "number") {
+          value = lerp(v0, next[1], smoothstep((t - t0) / (next[0] - t0)));
+        }
+      }
+      scene.animation.setOption(key, value);
+    }
+  }
+
+  resize(w, h) {
+    this.resizeGrid(w, h);
+    this._makeMask();
+    for (const s of this.scenes) {
+      if (!s.animation || s.animation.resize(w, h) !== false) continue;
+      /* rebuilt at the new size and fast-forwarded on the next sync */
+      s.animation.dispose();
+      s.animation = null;
+    }
+    if (this.scenes.length) this._sync();
+  }
+
+  pointer(e) {
+    if (!this.scenes.length) return;
+    const { scene } = this._active();
+    if (scene.animation) scene.animation.pointer(e);
+  }
+
+  /* a little into the first scene */
+  poster() {
+    return this.scenes.length ? Math.min(2, (this.scenes[0].duration - 1) / this.fps) : 0;
+  }
+
+  /* forwarded to every scene that declares the option; keyframes win */
+  setOption(key, value) {
+    super.setOption(key, value);
+    for (const s of this.scenes) {
+      if (!(key in (s.Class.schema || {}))) continue;
+      s.opts[key] = value;
+      if (s.animation) s.animation.setOption(key, value);
+    }
+  }
+
+  update() {
+    this.time++;
+    if (!this.playing || !this.scenes.length) return;
+    /* hold stops on the last frame instead of running the last scene on */
+    if (this.opts.end === "hold" && this.frame >= this.totalFrames - 1) return;
+    this.frame++;
+    if (this.frame >= this.totalFrames && this.opts.end === "loop") {
+      this.frame = 0;
+      this.looped = true;
+    }
+    this._sync();
+  }
+
+  draw() {
+    this.r.clear();
+    if (!this.scenes.length) return this.r.render();
+    const { scene, local, from } = this._active();
+    scene.animation.draw();
+    const to = scene.animation.r;
+    let p = 1;
+    let fromR = null;
+    let mask = null;
+    if (from) {
+      from.animation.draw();
+      fromR = from.animation.r;
+      p = local / scene.fade;
+      mask = this.masks[scene.transition === "wipe" ? "wipe" : "dissolve"];
+    }
+    for (let y = 0; y < this.h; y++) {
+      for (let x = 0; x < this.w; x++) {
+        const src = fromR && mask[y * this.w + x] >= p ? fromR : to;
+        this.r.set(x, y, src.front[y][x], src.frontStyles[y][x]);
+      }
+    }
+    return this.r.render();
+  }
+
+  dispose() {
+    for (const s of this.scenes) {
+      if (s.animation) s.animation.dispose();
+      s.animation = null;
+    }
+  }
+}
+
+/* keyframes as { option: [[seconds, value], …] }, keeping only
+   well-formed pairs so a typo can't throw mid-animation */
+function keyframeTracks(keyframes) {
+  const tracks = {};
+  if (!keyframes || typeof keyframes !== "object") return tracks;
+  for (const key of Object.keys(keyframes)) {
+    const track = Array.isArray(keyframes[key]) ? keyframes[key] : [];
+    const pairs = track.filter((kf) => Array.isArray(kf) && kf.length === 2 && Number.isFinite(kf[0]));
+    if (pairs.length < track.length || !pairs.length) {
+      console.warn("ASCIIEngine: keyframes for \"" + key + "\" need [seconds, value] pairs");
+    }
+    if (pairs.length) tracks[key] = pairs.sort((a, b) => a[0] - b[0]);
+  }
+  return tracks;
+}
+
+TimelineAnimation.schema = {
+  ...ASCIIAnimation.schema,
+  scenes: {
+    type: "json",
+    default: [
+      { animation: "Brain", duration: 5 },
+      { animation: "NeuralNetwork", duration: 6 },
+      { animation: "Graph", duration: 6 },
+    ],
+  },
+  transition: { type: "string", default: "dissolve", values: ["dissolve", "wipe", "cut"] },
+  transitionDuration: { type: "number", default: 1, min: 0 },
+  end: { type: "string", default: "loop", values: ["loop", "hold"] },
+  fps: { type: "number", default: 20, min: 1 },
+};
+
+/* ==========================================================
+   ANIMATION: Charts
+   Data-driven LineChart (a sparkline without axes), BarChart,
+   Histogram and Heatmap. Data comes from `data` or, at runtime,
+   from push(value) and setData(values) on the animation; axes
+   rescale to fit and values ease to their new height over
+   `duration` frames. Without data they play a seeded demo feed.
+   <div data-ascii="BarChart" data-title="Latency p95 (ms)"
+        data-data='{"Jan":412,"Feb":380,"Mar":221}'></div>
+   ========================================================== */
+
+/* ---------- scales ---------- */
+/* a 1, 2 or 5 × 10^n step giving about `count` intervals over span */
+function niceStep(span, count) {
+  const raw = span / Math.max(1, count);
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const f = raw / mag;
+  return (f <= 1 ? 1 : f <= 2 ? 2 : f <= 5 ? 5 : 10) * mag;
+}
+
+/* widen [min, max] out to whole steps */
+function niceRange(min, max, count) {
+  if (!(max > min)) max = min + 1;
+  const step = niceStep(max - min, count);
+  return { min: Math.floor(min / step) * step, max: Math.ceil(max / step) * step, step };
+}
+
+/* short tick labels: 1.5k, 20M, 0.25 */
+function formatTick(v, step) {
+  const abs = Math.abs(v);
+  if (abs >= 1e9) return +(v / 1e9).toFixed(1) + "B";
+  if (abs >= 1e6) return +(v / 1e6).toFixed(1) + "M";
+  if (abs >= 1e4) return +(v / 1e3).toFixed(1) + "k";
+  const decimals = clamp(-Math.floor(Math.log10(step)), 0, 4);
+  return v.toFixed(decimals);
+}
+
+/* eighth blocks for fractional bar tops and one-row sparklines */
+const EIGHTHS = ["", "▁", "▂", "▃", "▄", "▅", "▆", "▇", "█"];
+/* the nearest hanging blocks, for the ends of negative bars */
+const UPPER_EIGHTHS = ["", "▔", "▔", "▀", "▀", "▀", "█", "█", "█"];
+
+/* ---------- shared scaling, axes and transitions ---------- */
+class ChartAnimation extends ASCIIAnimation {
+  constructor(w, h, opts = {}) {
+    super(w, h, opts);
+    this.palette = {
+      axis: { color: COLORS.dim },
+      title: { color: COLORS.brandLight },
+      highlight: { color: COLORS.brand },
+    };
+    /* demo feed until data arrives, from options or from script */
+    this.live = opts.data === undefined;
+    this.values = [];
+    this.from = [];
+    this.changedAt = 0;
+    this.range = null;
+    this.fromRange = null;
+    if (!this.live) this._setData(this._parse(opts.data));
+  }
+
+  /* replace the data; bars and points ease from where they were */
+  setData(values) {
+    this.live = false;
+    this._setData(this._parse(values));
+  }
+
+  setOption(key, value) {
+    super.setOption(key, value);
+    if (key === "data") this.setData(value);
+  }
+
+  _parse(data) {
+    return Array.isArray(data) ? data.map(Number) : [];
+  }
+
+  _setData(values) {
+    this.from = this.current;
+    this.fromRange = this.range ? this.currentRange : null;
+    this.values = values;
+    this.range = this._targetRange(values);
+    this.changedAt = this.time;
+  }
+
+  /* 0 → 1 over opts.duration frames after a change */
+  get progress() {
+    return smoothstep(clamp((this.time - this.changedAt) / this.opts.duration, 0, 1));
+  }
+
+  /* eased values; entries without a previous value grow from `pad` */
+  get current() {
+    const t = this.progress;
+    const pad = this._pad();
+    return this.values.map((v, i) => lerp(i < this.from.length ? this.from[i] : pad, v, t));
+  }
+
+  _pad() {
+    return 0;
+  }
+
+  get currentRange() {
+    const to = this.range || niceRange(0, 1, this.opts.ticks);
+    if (!this.fromRange) return to;
+    const t = this.progress;
+    if (t >= 1) return to;
+    /* ticks follow the eased span, so easing from millions to fractions
+       never walks millions of the target's steps */
+    const min = lerp(this.fromRange.min, to.min, t);
+    const max = lerp(this.fromRange.max, to.max, t);
+    return { min, max, step: niceStep(max - min, this.opts.ticks) };
+  }
+
+  /* fixed opts.min / opts.max win over the data's extent */
+  _targetRange(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const v of values) {
+      if (!Number.isFinite(v)) continue;
+      min = Math.min(min, v);
+      max = Math.max(max, v);
+    }
+    if (min === Infinity) { min = 0; max = 1; }
+    if (this._zeroBased()) { min = Math.min(0, min); max = Math.max(0, max); }
+    if (this.opts.min !== undefined) min = this.opts.min;
+    if (this.opts.max !== undefined) max = this.opts.max;
+    return niceRange(min, max, this.opts.ticks);
+  }
+
+  _zeroBased() {
+    return true;
+  }
+
+  /* plot rectangle inside the axes: { x0, x1, y0, y1 } in cells, inclusive;
+     `below` rows are kept under the x axis for labels */
+  _area(range, below = 0) {
+    const top = this.opts.title ? 1 : 0;
+    if (!this.opts.axes) return { x0: 0, x1: this.w - 1, y0: top, y1: this.h - 1, labelW: 0 };
+    let labelW = 0;
+    for (const v of this._ticks(range)) labelW = Math.max(labelW, formatTick(v, range.step).length);
+    return { x0: labelW + 2, x1: this.w - 1, y0: Math.max(top, 1), y1: this.h - 2 - below, labelW };
+  }
+
+  /* where a value falls, as a fractional row edge: range.min is the top of
+     the axis row, range.max the top of the plot */
+  _edgeOf(v, range, area) {
+    return area.y1 + 1 - ((v - range.min) / (range.max - range.min)) * (area.y1 + 1 - area.y0);
+  }
+
+  /* tick values at whole steps inside the (possibly easing) range */
+  _ticks(range) {
+    const out = [];
+    const first = Math.ceil(range.min / range.step - 1e-9);
+    for (let i = first; i * range.step <= range.max + range.step * 1e-9; i++) out.push(i * range.step);
+    return out;
+  }
+
+  _drawAxes(range, area) {
+    if (this.opts.title) this.r.text(area.x0, 0, this.opts.title.slice(0, this.w - area.x0), this.palette.title);
+    if (!this.opts.axes) return;
+    const axisX = area.labelW + 1;
+    for (let y = area.y0; y <= area.y1; y++) this.r.set(axisX, y, "│", this.palette.axis);
+    this.r.set(axisX, area.y1 + 1, "└", this.palette.axis);
+    for (let x = axisX + 1; x <= area.x1; x++) this.r.set(x, area.y1 + 1, "─", this.palette.axis);
+    /* skip labels that would crowd the one below */
+    let lastRow = Infinity;
+    for (const v of this._ticks(range)) {
+      const y = Math.floor(this._edgeOf(v, range, area) + 1e-6);
+      if (y < area.y0 || y > area.y1 + 1 || lastRow - y < 2) continue;
+      lastRow = y;
+      const label = formatTick(v, range.step);
+      this.r.text(area.labelW - label.length, y, label, this.palette.axis);
+      this.r.set(axisX, y, y > area.y1 ? "└" : "┤", this.palette.axis);
+    }
+  }
+
+  /* finished transition, or a well-filled demo */
+  poster() {
+    return this.live ? 6 : (this.opts.duration + 1) / (this.opts.fps || 20);
+  }
+}
+
+ChartAnimation.schema = {
+  ...ASCIIAnimation.schema,
+  data: { type: "json" },
+  title: { type: "string" },
+  axes: { type: "boolean", default: true },
+  /* about how many tick intervals on the value axis */
+  ticks: { type: "number", default: 4, min: 1 },
+  min: { type: "number" },
+  max: { type: "number" },
+  /* frames to ease into new data */
+  duration: { type: "number", default: 20, min: 1 },
+};
+
+/* ---------- line chart / sparkline ---------- */
+class LineChartAnimation extends ChartAnimation {
+  constructor(w, h, opts = {}) {
+    super(w, h, opts);
+    this.walk = 50;
+  }
+
+  /* append a value; older ones scroll off past opts.window (default: one per column) */
+  push(value) {
+    this.live = false;
+    this._push(Number(value));
+  }
+
+  _push(value) {
+    const size = this.opts.window || this.w;
+    this._setData(this.values.concat([value]).slice(-size));
+    /* the new point is already in place; only the axis eases */
+    this.from = this.values.slice();
+  }
+
+  _pad() {
+    return this.values.length ? this.values[this.values.length - 1] : 0;
+  }
+
+  _zeroBased() {
+    return false;
+  }
+
+  update() {
+    this.time++;
+    if (this.live && this.time % 3 === 0) {
+      this.walk = clamp(this.walk + (this.rng() - 0.5) * 14, 0, 100);
+      this._push(Math.round(this.walk * 10) / 10);
+    }
+  }
+
+  draw() {
+    this.r.clear();
+    const range = this.currentRange;
+    const area = this._area(range);
+    this._drawAxes(range, area);
+    const values = this.current;
+    if (!values.length) return this.r.render();
+
+    /* newest value at the right edge, one column per value */
+    const span = this.opts.window ? (area.x1 - area.x0) / Math.max(1, this.opts.window - 1) : 1;
+    const points = values.map((v, i) => ({
+      x: area.x1 - (values.length - 1 - i) * span,
+      y: clamp(this._edgeOf(v, range, area) - 0.5, area.y0, area.y1),
+      v,
+    })).filter((p) => p.x >= area.x0);
+
+    /* a single row: eighth-block sparkline */
+    if (area.y1 - area.y0 < 1) {
+      for (const p of points) {
+        const level = Math.round(clamp((p.v - range.min) / (range.max - range.min), 0, 1) * 7) + 1;
+        this.r.set(Math.round(p.x), area.y1, EIGHTHS[level]);
+      }
+      return this.r.render();
+    }
+
+    if (this.opts.fill) {
+      for (const p of points) {
+        for (let y = Math.round(p.y) + 1; y <= area.y1; y++) this.r.set(Math.round(p.x), y, "░", this.palette.axis);
+      }
+    }
+    if (this.r.resolution !== "cell") {
+      this.r.polyline(points, "•");
+    } else {
+      /* steps turn through rounded corners: ╯╭ going up, ╮╰ going down,
+         then run level to the next point when points are spread out */
+      points.forEach((p, i) => {
+        const x = Math.round(p.x);
+        const y = Math.round(p.y);
+        const next = points[i + 1];
+        const ny = next ? Math.round(next.y) : y;
+        if (next) {
+          for (let xx = x + 1; xx < Math.round(next.x); xx++) this.r.set(xx, ny, "─");
+        }
+        if (ny === y) {
+          this.r.set(x, y, "─");
+          return;
+        }
+        this.r.set(x, y, ny < y ? "╯" : "╮");
+        this.r.set(x, ny, ny < y ? "╭" : "╰");
+        for (let yy = Math.min(y, ny) + 1; yy < Math.max(y, ny); yy++) this.r.set(x, yy, "│");
+      });
+    }
+    const last = points[points.length - 1];
+    this.r.set(Math.round(last.x), Math.round(last.y), "●", this.palette.highlight);
+    return this.r.render();
+  }
+}
+
+LineChartAnimation.schema = {
+  ...ChartAnimation.schema,
+  /* values kept when pushing; 0 keeps one per column */
+  window: { type: "number", default: 0, min: 0 },
+  fill: { type: "boolean", default: false },
+};
+
+/* ---------- bar chart ---------- */
+class BarChartAnimation extends ChartAnimation {
+  constructor(w, h, opts = {}) {
+    super(w, h, opts);
+    if (this.live) this._demo();
+  }
+
+  /* numbers, { label, value } objects or { label: value } */
+  _parse(data) {
+    this.labels = [];
+    if (data && !Array.isArray(data) && typeof data === "object") {
+      this.labels = Object.keys(data);
+      return this.labels.map((key) => Number(data[key]));
+    }
+    return (Array.isArray(data) ? data : []).map((d, i) => {
+      const item = typeof d === "object" && d ? d : { value: d };
+      this.labels.push(String(item.label !== undefined ? item.label : i + 1));
+      return Number(item.value);
+    });
+  }
+
+  /* change one bar, adding it if the label is new */
+  set(label, value) {
+    const data = this.labels.map((l, i) => ({ label: l, value: this.values[i] }));
+    const bar = data.find((d) => d.label === String(label));
+    if (bar) bar.value = value;
+    else data.push({ label: String(label), value });
+    this.setData(data);
+  }
+
+  _demo() {
+    const data = {};
+    for (const label of ["Q1", "Q2", "Q3", "Q4", "Q5", "Q6"]) data[label] = Math.round(20 + this.rng() * 80);
+    this._setData(this._parse(data));
+  }
+
+  update() {
+    this.time++;
+    if (this.live && this.time % 80 === 0) this._demo();
+  }
+
+  /* bars share the width, one column apart; labels under the axis */
+  draw() {
+    this.r.clear();
+    const range = this.currentRange;
+    const area = this._area(range, 1);
+    this._drawAxes(range, area);
+    const values = this.current;
+    const n = values.length;
+    if (!n) return this.r.render();
+    const slot = (area.x1 - area.x0 + 1) / n;
+    const barW = Math.max(1, Math.floor(slot) - 1);
+    const zero = Math.round(this._edgeOf(clamp(0, range.min, range.max), range, area));
+    /* column just past the last label drawn; labels that would touch it are skipped */
+    let labelEnd = -Infinity;
+
+    values.forEach((v, i) => {
+      const x = Math.round(area.x0 + i * slot + (slot - barW) / 2);
+      const top = this._edgeOf(clamp(v, range.min, range.max), range, area);
+      /* full cells, then a block for the fraction at the end: an eighth
+         block on top, or an upper block under a negative bar */
+      const full = Math.floor(Math.abs(zero - top));
+      const eighth = Math.round((Math.abs(zero - top) - full) * 8);
+      for (let bx = x; bx < x + barW; bx++) {
+        for (let k = 0; k < full; k++) this.r.set(bx, top < zero ? zero - 1 - k : zero + k, "█");
+        if (eighth > 0) {
+          if (top < zero) this.r.set(bx, zero - 1 - full, EIGHTHS[eighth]);
+          else this.r.set(bx, zero + full, UPPER_EIGHTHS[eighth]);
+        }
+      }
+      const label = (this.labels[i] || "").slice(0, area.x1 - area.x0 + 1);
+      const lx = clamp(Math.round(area.x0 + i * slot + (slot - label.length) / 2), area.x0, area.x1 + 1 - label.length);
+      if (this.opts.axes && label && lx > labelEnd) {
+        this.r.text(lx, area.y1 + 2, label, this.palette.axis);
+        labelEnd = lx + label.length;
+      }
+    });
+    return this.r.render();
+  }
+}
+
+BarChartAnimation.schema = { ...ChartAnimation.schema };
+
+/* ---------- histogram ---------- */
+class HistogramAnimation extends BarChartAnimation {
+  /* raw samples; counts per bin are what get drawn */
+  _parse(data) {
+    this.samples = (Array.isArray(data) ? data : []).map(Number).filter(Number.isFinite);
+    return this._bin();
+  }
+
+  /* add one sample; the oldest drop off past opts.window */
+  push(value) {
+    this.live = false;
+    this._add(Number(value));
+  }
+
+  _add(value) {
+    if (!Number.isFinite(value)) return;
+    this.samples.push(value);
+    if (this.opts.window && this.samples.length > this.opts.window) this.samples.shift();
+    this._setData(this._bin());
+  }
+
+  /* bins one nice step wide (about opts.bins of them), labelled by their
+     lower edge */
+  _bin() {
+    const target = Math.max(1, Math.round(this.opts.bins));
+    this.labels = [];
+    if (!this.samples.length) return new Array(target).fill(0);
+    const extent = niceRange(Math.min(...this.samples), Math.max(...this.samples), target);
+    const bins = Math.max(1, Math.round((extent.max - extent.min) / extent.step));
+    const counts = new Array(bins).fill(0);
+    for (const s of this.samples) counts[clamp(Math.floor((s - extent.min) / extent.step), 0, bins - 1)]++;
+    for (let i = 0; i < bins; i++) this.labels.push(formatTick(extent.min + i * extent.step, extent.step));
+    return counts;
+  }
+
+  _demo() {
+    this.samples = this.samples || [];
+    /* roughly normal: the mean of three uniform draws */
+    this._add(((this.rng() + this.rng() + this.rng()) / 3) * 100);
+  }
+
+  update() {
+    this.time++;
+    if (this.live && this.time % 2 === 0) this._demo();
+  }
+}
+
+HistogramAnimation.schema = {
+  ...ChartAnimation.schema,
+  bins: { type: "number", default: 10, min: 1 },
+  /* samples kept when pushing; 0 keeps all */
+  window: { type: "number", default: 500, min: 0 },
+};
+
+/* ---------- heatmap ---------- */
+class HeatmapAnimation extends ChartAnimation {
+  constructor(w, h, opts = {}) {
+    super(w, h, opts);
+    this.ramp = opts.ramp.split("");
+  }
+
+  /* a grid of rows; flattened for easing, `columns` keeps the shape */
+  _parse(data) {
+    const rows = (Array.isArray(data) ? data : []).filter(Array.isArray);
+    this.columns = rows.reduce((m, row) => Math.max(m, row.length), 0);
+    this.grid = rows.map((row) => {
+      const out = new Array(this.columns).fill(NaN);
+      row.forEach((v, i) => { out[i] = Number(v); });
+      return out;
+    });
+    return [].concat(...this.grid);
+  }
+
+  /* add a row at the bottom; the top scrolls off past opts.window */
+  push(row) {
+    this.live = false;
+    this._pushRow(row);
+  }
+
+  _pushRow(row) {
+    const rows = (this.grid || []).concat([row]);
+    this._setData(this._parse(rows.slice(-(this.opts.window || this.h))));
+    /* rows scroll rather than ease; only the color scale does */
+    this.from = this.values.slice();
+  }
+
+  _zeroBased() {
+    return false;
+  }
+
+  update() {
+    this.time++;
+    if (this.live && this.time % 4 === 0) {
+      /* drifting bands, like a spectrogram */
+      const t = this.time / 40;
+      const row = [];
+      for (let i = 0; i < 24; i++) {
+        row.push(Math.sin(i * 0.45 + t) + Math.sin(i * 0.17 - t * 0.6) + this.rng() * 0.6);
+      }
+      this._pushRow(row);
+    }
+  }
+
+  /* heatmaps color by value, so there's no value axis: min and max go in
+     a legend on the top row instead */
+  draw() {
+    this.r.clear();
+    const range = this.currentRange;
+    const values = this.current;
+    const rows = this.columns ? values.length / this.columns : 0;
+    const top = this.opts.title || this.opts.axes ? 1 : 0;
+    if (this.opts.title) this.r.text(0, 0, this.opts.title, this.palette.title);
+    if (this.opts.axes) {
+      const legend = formatTick(range.min, range.step) + " " + this.ramp.join("") + " " + formatTick(range.max, range.step);
+      this.r.text(Math.max(0, this.w - legend.length), 0, legend, this.palette.axis);
+    }
+    if (!rows) return this.r.render();
+    const cellW = this.w / this.columns;
+    const cellH = (this.h - top) / rows;
+    const steps = this.ramp.length - 1;
+    for (let y = top; y < this.h; y++) {
+      const row = Math.min(rows - 1, Math.floor((y - top) / cellH));
+      for (let x = 0; x < this.w; x++) {
+        const v = values[row * this.columns + Math.min(this.columns - 1, Math.floor(x / cellW))];
+        if (!Number.isFinite(v)) continue;
+        const level = Math.round(clamp((v - range.min) / (range.max - range.min), 0, 1) * steps);
+        this.r.set(x, y, this.ramp[level], level === steps ? this.palette.highlight : null);
+      }
+    }
+    return this.r.render();
+  }
+}
+
+HeatmapAnimation.schema = {
+  ...ChartAnimation.schema,
+  ramp: { type: "string", default: " ░▒▓█" },
+  /* rows kept when pushing; 0 keeps one per grid row */
+  window: { type: "number", default: 0, min: 0 },
+};
+
+/* ==========================================================
+   ANIMATION REGISTRY — names usable in data-ascii and the CLI
+   ========================================================== */
+const animations = {};
+
+function registerAnimation(name, AnimationClass) {
+  if (typeof name !== "string" || !name) {
+    throw new TypeError("registerAnimation: name must be a non-empty string");
+  }
+  if (typeof AnimationClass !== "function") {
+    throw new TypeError("registerAnimation: \"" + name + "\" is not a class");
+  }
+  for (const hook of ["update", "draw"]) {
+    if (typeof AnimationClass.prototype[hook] !== "function") {
+      throw new TypeError("registerAnimation: \"" + name + "\" must implement " + hook + "()");
+    }
+  }
+  const schema = AnimationClass.schema || {};
+  for (const key of Object.keys(schema)) {
+    if (!["number", "string", "boolean", "json"].includes(schema[key].type)) {
+      throw new TypeError("registerAnimation: \"" + name + "\" option \"" + key + "\" has an unknown type");
+    }
+  }
+  if (animations[name] && animations[name] !== AnimationClass) {
+    console.warn("ASCIIEngine: replacing animation \"" + name + "\"");
+  }
+  animations[name] = AnimationClass;
+  return AnimationClass;
+}
+
+/* accept a registered name wherever a class is expected */
+function getAnimation(nameOrClass) {
+  return typeof nameOrClass === "string" ? animations[nameOrClass] : nameOrClass;
+}
+
+registerAnimation("NeuralNetwork", NeuralNetworkAnimation);
+registerAnimation("DataStream", DataStreamAnimation);
+registerAnimation("Waveform", WaveformAnimation);
+registerAnimation("Brain", BrainAnimation);
+registerAnimation("Graph", GraphAnimation);
+registerAnimation("Image", ImageAnimation);
+registerAnimation("Banner", BannerAnimation);
+registerAnimation("Composite", CompositeAnimation);
+registerAnimation("Timeline", TimelineAnimation);
+registerAnimation("LineChart", LineChartAnimation);
+registerAnimation("BarChart", BarChartAnimation);
+registerAnimation("Histogram", HistogramAnimation);
+registerAnimation("Heatmap", HeatmapAnimation);
+
+/* ==========================================================
+   OUTPUT BACKENDS — present a committed renderer frame
+   pre:    one text row per <span>, only changed rows touched
+   canvas: cells blitted from a cached glyph atlas, no text layout
+   ========================================================== */
+class PreBackend {
+  constructor(pre) {
+    this.pre = pre;
+    this.name = "pre";
+    this._rows = [];
+    this._for = null;
+    this._frame = -1;
+  }
+
+  resize() {}
+
+  /* write only the rows that changed since the previous frame;
+     returns the number of rows written */
+  present(r) {
+    if (this._for !== r || this._rows.length !== r.height) this._build(r);
+    if (r.dirty) r.commit();
+    if (r.frame === this._frame) return 0;
+    this._frame = r.frame;
+    for (const y of r.changedRows) {
+      const row = this._rows[y];
+      if (r.rowStyled[y]) {
+        row.el.innerHTML = r.rowHTML(y);
+        row.styled = true;
+      } else if (row.styled || !row.el.firstChild) {
+        row.el.textContent = r.rowText[y];
+        row.styled = false;
+      } else {
+        row.el.firstChild.nodeValue = r.rowText[y];
+      }
+    }
+    return r.changedRows.length;
+  }
+
+  /* fallback for animations that only return a string */
+  presentText(text) {
+    this._for = null;
+    this.pre.textContent = text;
+  }
+
+  _build(r) {
+    this.pre.textContent = "";
+    this._rows = [];
+    for (let y = 0; y < r.height; y++) {
+      if (y > 0) this.pre.appendChild(document.createTextNode("\n"));
+      const el = document.createElement("span");
+      this.pre.appendChild(el);
+      this._rows.push({ el, styled: false });
+    }
+    this._for = r;
+    this._frame = -1;
+    r.invalidate();
+  }
+
+  destroy() {
+    this.pre.textContent = "";
+    this._rows = [];
+    this._for = null;
+  }
+}
+
+/* Offscreen cache of rendered glyphs keyed by character + color.
+   Blitting from it avoids a fillText (and its font shaping) per cell.
+   One atlas per font, cell size and pixel ratio is shared by every canvas
+   backend using it (see acquireAtlas). */
+class GlyphAtlas {
+  constructor(font, cellW, cellH, dpr) {
+    this.font = font;
+    this.cellW = Math.ceil(cellW * dpr);
+    this.cellH = Math.ceil(cellH * dpr);
+    this.dpr = dpr;
+    this.canvas = document.createElement("canvas");
+    this.canvas.width = 1024;
+    this.canvas.height = 1024;
+    this.ctx = this.canvas.getContext("2d");
+    this.perRow = Math.max(1, Math.floor(this.canvas.width / this.cellW));
+    this.capacity = this.perRow * Math.max(1, Math.floor(this.canvas.height / this.cellH));
+    this.reset();
+  }
 
-    return this.r.render();
+  reset() {
+    this.slots = new Map();
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
   }
-}
 
-/* ==========================================================
-   ANIMATION: Brain / AI Visualization
-   A stylized brain outline with pulsing activity
-   ========================================================== */
-class BrainAnimation {
-  constructor(w, h) {
-    this.r = new ASCIIRenderer(w, h);
-    this.w = w;
-    this.h = h;
-    this.time = 0;
+  get(ch, color) {
+    const key = color + "\u0000" + ch;
+    let slot = this.slots.get(key);
+    if (slot) return slot;
+    /* full — start over; glyphs already blitted stay on the target canvas */
+    if (this.slots.size >= this.capacity) this.reset();
+    const i = this.slots.size;
+    slot = { sx: (i % this.perRow) * this.cellW, sy: Math.floor(i / this.perRow) * this.cellH };
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(slot.sx, slot.sy, this.cellW, this.cellH);
+    ctx.clip();
+    ctx.font = this.font;
+    ctx.fillStyle = color;
+    ctx.textBaseline = "middle";
+    ctx.scale(this.dpr, this.dpr);
+    ctx.fillText(ch, slot.sx / this.dpr, (slot.sy + this.cellH / 2) / this.dpr);
+    ctx.restore();
+    this.slots.set(key, slot);
+    return slot;
+  }
+}
 
-    /* pre-compute brain outline using parametric curves */
-    this.outlinePoints = [];
-    const cx = w / 2;
-    const cy = h / 2;
-    const scaleX = w * 0.35;
-    const scaleY = h * 0.4;
+/* shared atlases, released when their last backend lets go */
+const atlases = new Map();
 
-    /* left hemisphere */
-    for (let t = 0; t <= Math.PI; t += 0.05) {
-      const x = cx - Math.sin(t) * scaleX * (0.5 + 0.2 * Math.sin(t * 3));
-      const y = cy - Math.cos(t) * scaleY;
-      this.outlinePoints.push({ x: Math.round(x), y: Math.round(y), side: "L" });
-    }
-    /* right hemisphere */
-    for (let t = 0; t <= Math.PI; t += 0.05) {
-      const x = cx + Math.sin(t) * scaleX * (0.5 + 0.2 * Math.sin(t * 3));
-      const y = cy - Math.cos(t) * scaleY;
-      this.outlinePoints.push({ x: Math.round(x), y: Math.round(y), side: "R" });
-    }
+function atlasKey(font, cellW, cellH, dpr) {
+  return [font, cellW, cellH, dpr].join("|");
+}
 
-    /* internal activity points */
-    this.sparks = [];
-    for (let i = 0; i < 25; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const radius = Math.random() * 0.7;
-      this.sparks.push({
-        x: cx + Math.cos(angle) * scaleX * 0.4 * radius,
-        y: cy + Math.sin(angle) * scaleY * 0.35 * radius,
-        phase: Math.random() * Math.PI * 2,
-        freq: 0.03 + Math.random() * 0.05,
-      });
-    }
+function acquireAtlas(font, cellW, cellH, dpr) {
+  const key = atlasKey(font, cellW, cellH, dpr);
+  let entry = atlases.get(key);
+  if (!entry) {
+    entry = { atlas: new GlyphAtlas(font, cellW, cellH, dpr), users: 0 };
+    entry.atlas.key = key;
+    atlases.set(key, entry);
   }
+  entry.users++;
+  return entry.atlas;
+}
 
-  update() {
-    this.time++;
+function releaseAtlas(atlas) {
+  const entry = atlas && atlases.get(atlas.key);
+  if (entry && --entry.users <= 0) atlases.delete(atlas.key);
+}
+
+class CanvasBackend {
+  static isSupported() {
+    const canvas = document.createElement("canvas");
+    return !!(canvas.getContext && canvas.getContext("2d"));
   }
 
-  draw() {
-    this.r.clear();
+  /* the <pre> stays in place, hidden, as the source of the CSS font,
+     color and padding. Like the <pre>, the canvas is decorative and
+     hidden from assistive tech. */
+  constructor(pre) {
+    this.pre = pre;
+    this.name = "canvas";
+    this.pre.style.visibility = "hidden";
+    this.canvas = document.createElement("canvas");
+    this.canvas.style.position = "absolute";
+    this.canvas.style.top = "0";
+    this.canvas.style.left = "0";
+    this.canvas.style.width = "100%";
+    this.canvas.style.height = "100%";
+    this.canvas.setAttribute("aria-hidden", "true");
+    pre.parentNode.insertBefore(this.canvas, pre.nextSibling);
+    this.ctx = this.canvas.getContext("2d");
+    this.atlas = null;
+    this._for = null;
+    this._frame = -1;
+  }
 
-    /* draw outline */
-    for (const p of this.outlinePoints) {
-      this.r.set(p.x, p.y, "█");
+  resize(cols, rows, metrics) {
+    const computed = window.getComputedStyle(this.pre);
+    const dpr = window.devicePixelRatio || 1;
+    const rect = this.canvas.getBoundingClientRect();
+    this.canvas.width = Math.round(rect.width * dpr);
+    this.canvas.height = Math.round(rect.height * dpr);
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    this.metrics = metrics;
+    this.color = computed.color;
+    const font = computed.fontWeight + " " + computed.fontSize + " " + computed.fontFamily;
+    if (!this.atlas || this.atlas.key !== atlasKey(font, metrics.charW, metrics.charH, dpr)) {
+      releaseAtlas(this.atlas);
+      this.atlas = acquireAtlas(font, metrics.charW, metrics.charH, dpr);
     }
+    /* repaint everything on the next frame */
+    this._for = null;
+  }
 
-    /* center line (corpus callosum) */
-    const cx = Math.round(this.w / 2);
-    for (let y = Math.round(this.h * 0.2); y < Math.round(this.h * 0.8); y++) {
-      this.r.set(cx, y, "│");
+  present(r) {
+    if (!this.atlas) return 0;
+    if (this._for !== r) {
+      this._for = r;
+      this._frame = -1;
+      r.invalidate();
     }
+    if (r.dirty) r.commit();
+    if (r.frame === this._frame) return 0;
+    this._frame = r.frame;
+    for (const y of r.changedRows) this._drawRow(y, r.front[y], r.frontStyles[y], r.width);
+    this.ctx.globalAlpha = 1;
+    return r.changedRows.length;
+  }
 
-    /* folds / gyri */
-    for (let i = 0; i < 4; i++) {
-      const fy = Math.round(this.h * (0.25 + i * 0.15));
-      const fw = Math.round(this.w * (0.15 + i * 0.03));
-      /* left side */
-      for (let dx = 2; dx < fw; dx++) {
-        this.r.set(cx - dx, fy, "~");
-      }
-      /* right side */
-      for (let dx = 2; dx < fw; dx++) {
-        this.r.set(cx + dx, fy, "~");
-      }
-    }
+  /* fallback for animations that only return a string: redraw every row */
+  presentText(text) {
+    this._for = null;
+    if (!this.atlas) return;
+    const rows = text.split("\n");
+    const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    rows.forEach((row, y) => this._drawRow(y, row, null, width));
+    this.ctx.globalAlpha = 1;
+  }
 
-    /* neural sparks */
-    const sparkChars = ["✦", "◆", "●", "○", "·"];
-    for (const s of this.sparks) {
-      const intensity = (Math.sin(this.time * s.freq + s.phase) + 1) / 2;
-      const idx = Math.floor((1 - intensity) * (sparkChars.length - 1));
-      this.r.set(Math.round(s.x), Math.round(s.y), sparkChars[idx]);
+  _drawRow(y, row, styles, width) {
+    const { charW, charH, padLeft, padTop } = this.metrics;
+    const ctx = this.ctx;
+    const atlas = this.atlas;
+    const py = padTop + y * charH;
+    ctx.clearRect(padLeft, py, width * charW, charH);
+    for (let x = 0; x < width; x++) {
+      if (row[x] === " " || row[x] === undefined) continue;
+      const style = styles && styles[x];
+      const slot = atlas.get(row[x], (style && style.color) || this.color);
+      ctx.globalAlpha = style && style.opacity !== undefined ? style.opacity : 1;
+      ctx.drawImage(atlas.canvas, slot.sx, slot.sy, atlas.cellW, atlas.cellH,
+        padLeft + x * charW, py, charW, charH);
     }
+  }
 
-    return this.r.render();
+  destroy() {
+    this.canvas.remove();
+    this.pre.style.visibility = "";
+    releaseAtlas(this.atlas);
+    this.atlas = null;
   }
 }
 
+const BACKENDS = { pre: PreBackend, canvas: CanvasBackend };
+
+/* pick the requested backend, falling back to <pre> when unsupported */
+function createBackend(name, pre) {
+  const Backend = BACKENDS[name] || PreBackend;
+  if (Backend.isSupported && !Backend.isSupported()) return new PreBackend(pre);
+  return new Backend(pre);
+}
+
+const POINTER_EVENTS = ["pointermove", "pointerdown", "pointerup", "pointercancel"];
+
+
 /* ==========================================================
-   ANIMATION: Floating Nodes / Graph Network (for services)
+   SCHEDULER — one frame loop for every controller
    ========================================================== */
-class GraphAnimation {
-  constructor(w, h) {
-    this.r = new ASCIIRenderer(w, h);
-    this.w = w;
-    this.h = h;
-    this.time = 0;
+/* Controllers register here rather than running their own requestAnimationFrame
+   loop, IntersectionObserver and resize/scroll listeners. Each tick steps the
+   controllers that are due. When the steps of a tick take longer than `budget`
+   ms on average, the lowest-ranked controller out of focus (less than half in
+   view and not under the pointer) drops to half its frame rate, down to
+   1 / MAX_THROTTLE; spare time restores them. Rank is focus, then `priority`.
+   Everything stops while the page is hidden. */
+const MAX_THROTTLE = 4;
+const FOCUS_RATIO = 0.5;
 
-    this.nodes = [];
-    for (let i = 0; i < 12; i++) {
-      this.nodes.push({
-        x: 4 + Math.random() * (w - 8),
-        y: 2 + Math.random() * (h - 4),
-        vx: (Math.random() - 0.5) * 0.3,
-        vy: (Math.random() - 0.5) * 0.15,
-        label: ["ML", "AI", "DL", "NLP", "CV", "LLM", "GAN", "RL", "CNN", "RNN", "GPU", "TPU"][i],
-      });
-    }
+class ASCIIScheduler {
+  constructor(opts = {}) {
+    /* ms of animation work per frame before off-focus scenes are slowed */
+    this.budget = opts.budget || 8;
+    /* how often throttling may change, in ms */
+    this.adaptInterval = opts.adaptInterval || 500;
+    this.controllers = new Set();
+    this.frameId = null;
+    this.hidden = false;
+    /* moving average of ms spent per tick that stepped something */
+    this.load = 0;
+    this._adaptedAt = 0;
+    this._byElement = new Map();
+    this._observer = null;
   }
 
-  update() {
-    this.time++;
-    for (const n of this.nodes) {
-      n.x += n.vx;
-      n.y += n.vy;
-      if (n.x < 3 || n.x > this.w - 4) n.vx *= -1;
-      if (n.y < 1 || n.y > this.h - 2) n.vy *= -1;
-      n.x = clamp(n.x, 3, this.w - 4);
-      n.y = clamp(n.y, 1, this.h - 2);
+  add(ctrl) {
+    if (this.controllers.has(ctrl)) return;
+    if (!this.controllers.size) this._attach();
+    this.controllers.add(ctrl);
+    this._byElement.set(ctrl.el, ctrl);
+    this._observer.observe(ctrl.el);
+    this.wake();
+  }
+
+  remove(ctrl) {
+    if (!this.controllers.delete(ctrl)) return;
+    this._byElement.delete(ctrl.el);
+    this._observer.unobserve(ctrl.el);
+    if (!this.controllers.size) this._detach();
+  }
+
+  /* request a tick if any controller has work; safe to call repeatedly */
+  wake() {
+    if (this.frameId || this.hidden) return;
+    for (const ctrl of this.controllers) {
+      if (ctrl._wantsFrame()) {
+        this.frameId = requestAnimationFrame((ts) => this._tick(ts));
+        return;
+      }
     }
   }
 
-  draw() {
-    this.r.clear();
+  /* focused first, then by priority */
+  ranked() {
+    return [...this.controllers].sort((a, b) =>
+      (b.focused - a.focused) || (b.priority - a.priority));
+  }
 
-    /* draw connections between close nodes */
-    for (let i = 0; i < this.nodes.length; i++) {
-      for (let j = i + 1; j < this.nodes.length; j++) {
-        const a = this.nodes[i];
-        const b = this.nodes[j];
-        const dist = Math.sqrt((a.x - b.x) ** 2 + ((a.y - b.y) * 2) ** 2);
-        if (dist < 30) {
-          const ch = dist < 15 ? "─" : "·";
-          const steps = Math.max(Math.abs(b.x - a.x), Math.abs(b.y - a.y));
-          for (let s = 0; s <= steps; s += 2) {
-            const t = s / steps;
-            const x = Math.round(lerp(a.x, b.x, t));
-            const y = Math.round(lerp(a.y, b.y, t));
-            if (this.r.get(x, y) === " ") {
-              this.r.set(x, y, ch);
-            }
-          }
-        }
+  /* per-controller timing, e.g. console.table(ASCIIEngine.scheduler.report()) */
+  report() {
+    return this.ranked().map((ctrl) => ({
+      animation: animationName(ctrl.AnimationClass),
+      element: ctrl.el,
+      priority: ctrl.priority,
+      focused: ctrl.focused,
+      visible: ctrl.visible,
+      fps: ctrl.fps,
+      actualFps: Math.round(ctrl.stats.fps * 10) / 10,
+      throttle: ctrl.throttle,
+      ms: Math.round(ctrl.stats.ms * 100) / 100,
+      maxMs: Math.round(ctrl.stats.maxMs * 100) / 100,
+      frames: ctrl.stats.frames,
+    }));
+  }
+
+  _tick(timestamp) {
+    this.frameId = null;
+    if (this.hidden) return;
+    const ranked = this.ranked();
+    let spent = 0;
+    let stepped = false;
+    for (const ctrl of ranked) {
+      const t0 = performance.now();
+      /* one broken scene mustn't stop the others (or the next tick) */
+      let drawn = false;
+      try {
+        drawn = ctrl._tick(timestamp);
+      } catch (err) {
+        console.warn("ASCIIEngine: " + animationName(ctrl.AnimationClass) + " stopped: " + err.message);
+        ctrl.stop();
       }
+      if (!drawn) continue;
+      const ms = performance.now() - t0;
+      this._record(ctrl, ms, timestamp);
+      spent += ms;
+      stepped = true;
+    }
+    if (stepped) {
+      this.load = this.load ? lerp(this.load, spent, 0.1) : spent;
+      this._adapt(ranked, timestamp);
     }
+    this.wake();
+  }
 
-    /* draw nodes */
-    for (const n of this.nodes) {
-      const nx = Math.round(n.x);
-      const ny = Math.round(n.y);
-      this.r.set(nx - 1, ny, "[");
-      this.r.text(nx, ny, n.label);
-      this.r.set(nx + n.label.length, ny, "]");
+  _record(ctrl, ms, timestamp) {
+    const s = ctrl.stats;
+    s.ms = s.ms ? lerp(s.ms, ms, 0.1) : ms;
+    s.maxMs = Math.max(s.maxMs, ms);
+    const gap = timestamp - ctrl._lastStep;
+    /* gaps across a pause or a scroll out of view aren't the frame rate */
+    if (gap > 0 && gap < 1000) s.fps = s.fps ? lerp(s.fps, 1000 / gap, 0.1) : 1000 / gap;
+    ctrl._lastStep = timestamp;
+  }
+
+  /* one throttle step per adaptInterval: slow the lowest-ranked off-focus
+     scene while over budget, restore the highest-ranked one well under it */
+  _adapt(ranked, timestamp) {
+    if (timestamp - this._adaptedAt < this.adaptInterval) return;
+    let ctrl = null;
+    if (this.load > this.budget) {
+      ctrl = ranked.slice().reverse().find((c) =>
+        !c.focused && c._active() && c.throttle < MAX_THROTTLE);
+      if (ctrl) ctrl.throttle *= 2;
+    } else if (this.load < this.budget / 2) {
+      ctrl = ranked.find((c) => c.throttle > 1);
+      if (ctrl) ctrl.throttle /= 2;
     }
+    if (ctrl) this._adaptedAt = timestamp;
+  }
 
-    return this.r.render();
+  _attach() {
+    this.hidden = document.hidden;
+    /* visible pauses a scene; focus exempts it from throttling */
+    this._observer = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        const ctrl = this._byElement.get(entry.target);
+        if (!ctrl) continue;
+        ctrl.visible = entry.isIntersecting;
+        ctrl._inView = entry.intersectionRatio >= FOCUS_RATIO;
+        ctrl._updateFocus();
+      }
+      this.wake();
+    }, { threshold: [0.05, FOCUS_RATIO] });
+
+    this._visibilityHandler = () => {
+      this.hidden = document.hidden;
+      if (this.hidden && this.frameId) {
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+      }
+      this.wake();
+    };
+    document.addEventListener("visibilitychange", this._visibilityHandler);
+
+    /* re-measure once resizing settles (debounced to avoid feedback loops);
+       scroll bindings follow straight away */
+    this._resizeHandler = () => {
+      this._scrollHandler();
+      clearTimeout(this._resizeTimer);
+      this._resizeTimer = setTimeout(() => {
+        for (const ctrl of this.controllers) ctrl._sizePending = true;
+        this.wake();
+      }, 200);
+    };
+    this._scrollHandler = () => {
+      for (const ctrl of this.controllers) {
+        if (ctrl.scroll) ctrl._onScroll();
+      }
+      this.wake();
+    };
+    window.addEventListener("resize", this._resizeHandler);
+    window.addEventListener("scroll", this._scrollHandler, { passive: true });
+  }
+
+  _detach() {
+    this._observer.disconnect();
+    this._observer = null;
+    document.removeEventListener("visibilitychange", this._visibilityHandler);
+    window.removeEventListener("resize", this._resizeHandler);
+    window.removeEventListener("scroll", this._scrollHandler);
+    clearTimeout(this._resizeTimer);
+    if (this.frameId) cancelAnimationFrame(this.frameId);
+    this.frameId = null;
   }
 }
 
+/* the registered name, for reports */
+function animationName(AnimationClass) {
+  return Object.keys(animations).find((name) => animations[name] === AnimationClass) ||
+    AnimationClass.name;
+}
+
+/* shared by every controller unless one is given */
+const scheduler = new ASCIIScheduler();
+
 /* ==========================================================
    ANIMATION CONTROLLER — mounts animations to DOM elements
    ========================================================== */
@@ -509,15 +4174,41 @@ class ASCIIAnimationController {
   constructor(element, AnimationClass, opts = {}) {
     this.el = element;
     this.fps = opts.fps || 20;
+    this.seed = opts.seed;
+    /* output backend: "pre" (default) or "canvas" */
+    this.backendName = opts.backend || "pre";
+    /* feed pointer position (in grid cells) to the animation's pointer() */
+    this.interactive = !!opts.interactive;
+    /* show a pause/play button over the animation */
+    this.controls = opts.controls !== false;
+    /* the visitor's pause/play choice; null follows prefers-reduced-motion */
+    this.userMotion = null;
+    this.motion = true;
     this.autoScale = opts.autoScale !== false;
     this.running = false;
-    this.frameId = null;
     this.lastFrameTime = 0;
     this.frameInterval = 1000 / this.fps;
+    /* ticks come from a shared scheduler; higher priority is slowed last */
+    this.scheduler = opts.scheduler || scheduler;
+    this.priority = opts.priority || 0;
+    /* frame interval multiplier set by the scheduler under load */
+    this.throttle = 1;
+    this.focused = false;
     this.animation = null;
-    this.AnimationClass = AnimationClass;
-    this.intersectionObserver = null;
+    this.AnimationClass = getAnimation(AnimationClass);
+    /* extra animation options, checked against the class schema */
+    this.options = opts.options || {};
     this.visible = true;
+    /* bind "time" or an option name to scroll progress through the viewport,
+       mapped onto scrollRange ([from, to] seconds or option values) */
+    this.scroll = opts.scroll || null;
+    this.scrollRange = opts.scrollRange || null;
+    this.scrollProgress = 0;
+    /* updates since the animation was built, for seeking by replay */
+    this.animationFrame = 0;
+    /* rows written by the backend, to compare against frames presented;
+       ms per step (moving average and worst) and measured fps from the scheduler */
+    this.stats = { frames: 0, rowsUpdated: 0, ms: 0, maxMs: 0, fps: 0 };
 
     this._init();
   }
@@ -527,7 +4218,6 @@ class ASCIIAnimationController {
     this.el.style.userSelect = "none";
     this.el.style.webkitUserSelect = "none";
     this.el.style.pointerEvents = "none";
-    this.el.setAttribute("aria-hidden", "true");
 
     /* ensure container is a positioning context */
     const pos = window.getComputedStyle(this.el).position;
@@ -546,36 +4236,99 @@ class ASCIIAnimationController {
     this.pre.style.overflow = "hidden";
     this.pre.style.whiteSpace = "pre";
     this.pre.style.contain = "strict";
-    /* persistent text node — avoids DOM node churn on every frame */
-    this._textNode = document.createTextNode("");
-    this.pre.appendChild(this._textNode);
+    this.pre.setAttribute("aria-hidden", "true");
     this.el.appendChild(this.pre);
+    this.backend = createBackend(this.backendName, this.pre);
 
-    /* compute grid size from container — defer to allow CSS to apply */
-    requestAnimationFrame(() => this._computeSize());
+    /* compute grid size from container on the first tick, once CSS applies;
+       the scheduler sets this again after window resizes */
+    this._sizePending = true;
 
-    /* recompute on window resize only (debounced to avoid feedback loops) */
-    this._resizeHandler = () => {
-      clearTimeout(this._resizeTimer);
-      this._resizeTimer = setTimeout(() => this._computeSize(), 200);
+    if (this.scroll) this._measureScroll();
+
+    /* pointer input is read on window rather than the container, which keeps
+       pointer-events: none — clicks, scrolling and selection pass through */
+    if (this.interactive) {
+      this._pointerHandler = (e) => this._onPointer(e);
+      for (const type of POINTER_EVENTS) {
+        window.addEventListener(type, this._pointerHandler, { passive: true });
+      }
+    }
+
+    if (this.controls) this._createToggle();
+
+    /* pauses off-screen, tracks focus and delivers resizes and scrolling */
+    this.scheduler.add(this);
+
+    /* respect prefers-reduced-motion, including changes while the page is open */
+    this._motionQuery = window.matchMedia("(prefers-reduced-motion: reduce)");
+    this.prefersReducedMotion = this._motionQuery.matches;
+    this._motionHandler = (e) => {
+      this.prefersReducedMotion = e.matches;
+      this._updateMotion();
     };
-    window.addEventListener("resize", this._resizeHandler);
+    this._motionQuery.addEventListener("change", this._motionHandler);
+    this._updateMotion();
+  }
+
+  /* the container lets pointer events through; only the button takes them */
+  _createToggle() {
+    this.toggle = document.createElement("button");
+    this.toggle.type = "button";
+    this.toggle.className = "ascii-toggle";
+    this.toggle.style.position = "absolute";
+    this.toggle.style.right = "8px";
+    this.toggle.style.bottom = "8px";
+    this.toggle.style.zIndex = "3";
+    this.toggle.style.pointerEvents = "auto";
+    this.toggle.addEventListener("click", () => {
+      if (this.motion) this.pause();
+      else this.play();
+    });
+    this.el.appendChild(this.toggle);
+  }
+
+  /* start or resume motion for this animation, overriding reduced motion */
+  play() {
+    this.userMotion = true;
+    this._updateMotion();
+  }
+
+  /* hold the current frame until play() */
+  pause() {
+    this.userMotion = false;
+    this._updateMotion();
+  }
+
+  _updateMotion() {
+    this.motion = this.userMotion !== null ? this.userMotion : !this.prefersReducedMotion;
+    if (this.toggle) {
+      const label = this.motion ? "Pause animation" : "Play animation";
+      this.toggle.textContent = this.motion ? "❚❚" : "▶";
+      this.toggle.setAttribute("aria-label", label);
+      this.toggle.title = label;
+      this.toggle.setAttribute("aria-pressed", String(!this.motion));
+    }
+    if (this.motion) this.scheduler.wake();
+    else this._still();
+  }
 
-    /* intersection observer — pause when off-screen */
-    this.intersectionObserver = new IntersectionObserver(
-      (entries) => {
-        this.visible = entries[0].isIntersecting;
-        if (this.visible && this.running) this._loop();
-      },
-      { threshold: 0.05 }
-    );
-    this.intersectionObserver.observe(this.el);
+  /* in focus when mostly in view or under the pointer; focus lifts throttling */
+  _updateFocus() {
+    const focused = !!(this._inView || this._pointerInside);
+    if (focused && !this.focused) this.throttle = 1;
+    this.focused = focused;
+  }
 
-    /* respect prefers-reduced-motion */
-    this.prefersReducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+  /* from the scheduler's scroll listener; with the loop stopped, a still is
+     redrawn on the next tick */
+  _onScroll() {
+    this._measureScroll();
+    if (!this.motion) this._stillPending = true;
   }
 
   _computeSize() {
+    if (this.destroyed) return;
     const rect = this.el.getBoundingClientRect();
     if (rect.width === 0 || rect.height === 0) return;
 
@@ -611,53 +4364,440 @@ class ASCIIAnimationController {
     if (cols > 0 && rows > 0 && (!this.animation || cols !== this.cols || rows !== this.rows)) {
       this.cols = cols;
       this.rows = rows;
-      this.animation = new this.AnimationClass(cols, rows);
+      /* prefer an in-place re-layout so time, pulses and velocities survive */
+      const kept = this.animation && typeof this.animation.resize === "function" &&
+        this.animation.resize(cols, rows) !== false;
+      if (!kept) {
+        this._buildAnimation(cols, rows);
+      }
+    }
+    if (cols > 0 && rows > 0) {
+      this.metrics = { charW, charH, padLeft, padTop };
+      this.backend.resize(cols, rows, this.metrics);
+      this._stillValue = undefined;
+      this._still();
+    }
+  }
+
+  _buildAnimation(cols, rows) {
+    this._disposeAnimation();
+    this.animation = createAnimation(this.AnimationClass, cols, rows,
+      Object.assign({ seed: this.seed, fps: this.fps }, this.options));
+    this.animationFrame = 0;
+    this._stillValue = undefined;
+  }
+
+  /* 0 as the element's top enters at the bottom of the viewport,
+     1 as its bottom leaves at the top */
+  _measureScroll() {
+    const rect = this.el.getBoundingClientRect();
+    const vh = window.innerHeight;
+    this.scrollProgress = clamp((vh - rect.top) / (vh + rect.height), 0, 1);
+  }
+
+  /* default range: the timeline's length, the option's schema bounds,
+     or ten seconds / 0–1 */
+  _scrollRange() {
+    if (this.scrollRange) return this.scrollRange;
+    if (this.scroll === "time") {
+      return [0, this.animation.duration !== undefined ? this.animation.duration : 10];
+    }
+    const def = (this.AnimationClass.schema || {})[this.scroll] || {};
+    return [def.min !== undefined ? def.min : 0, def.max !== undefined ? def.max : 1];
+  }
+
+  /* step to an absolute frame: timelines seek, other scenes are rebuilt
+     from their seed when going back and replayed forward */
+  _seekFrame(frame) {
+    if (typeof this.animation.seek === "function") {
+      this.animation.seek(frame / this.fps);
+      return;
+    }
+    if (frame < this.animationFrame) this._buildAnimation(this.cols, this.rows);
+    for (; this.animationFrame < frame; this.animationFrame++) this.animation.update();
+  }
+
+  /* a range may run past the option's bounds to hold at either end */
+  _scrollValue() {
+    const [from, to] = this._scrollRange();
+    const value = lerp(from, to, this.scrollProgress);
+    return this.scroll === "time" ? value : clampOption(this.AnimationClass.schema, this.scroll, value);
+  }
+
+  /* advance one frame under a scroll binding */
+  _scrollStep() {
+    const value = this._scrollValue();
+    if (this.scroll === "time") {
+      this._seekFrame(Math.round(value * this.fps));
+      return;
+    }
+    this.animation.setOption(this.scroll, value);
+    this.animation.update();
+    this.animationFrame++;
+  }
+
+  _posterFrame() {
+    return Math.round(this.animation.poster() * this.fps);
+  }
+
+  /* draw the frame shown while motion is off: the poster under reduced
+     motion, whatever was on screen when paused, or one fixed frame per
+     scroll position for scroll-bound scenes */
+  _still() {
+    if (!this.animation || this.motion) return;
+    if (this.scroll === "time") {
+      this._showFrame(Math.round(this._scrollValue() * this.fps));
+    } else if (this.scroll) {
+      /* the option is set from the start, so a value always gives the same frame */
+      const value = this._scrollValue();
+      if (value === this._stillValue) return;
+      this._buildAnimation(this.cols, this.rows);
+      this._stillValue = value;
+      this.animation.setOption(this.scroll, value);
+      this._showFrame(this._posterFrame());
+    } else if (this.userMotion === false) {
+      this._present();
+    } else {
+      this._showFrame(this._posterFrame());
+    }
+  }
+
+  /* replay to `frame` once init() has settled, then present it */
+  _showFrame(frame) {
+    if (frame < this.animationFrame && typeof this.animation.seek !== "function") {
+      this._buildAnimation(this.cols, this.rows);
+    }
+    const animation = this.animation;
+    animation.ready.then(() => {
+      if (this.animation !== animation || this.motion) return;
+      this._seekFrame(frame);
+      this._present();
+    });
+  }
+
+  _present() {
+    const text = this.animation.draw();
+    const r = this.animation.r;
+    if (r) {
+      this.stats.frames++;
+      this.stats.rowsUpdated += this.backend.present(r);
+    } else {
+      this.backend.presentText(text);
+    }
+  }
+
+  /* translate to cell coordinates; events outside the grid are dropped
+     except for the one that reports the pointer leaving */
+  _onPointer(e) {
+    const a = this.animation;
+    if (!a || !this.metrics || typeof a.pointer !== "function") return;
+    const rect = this.pre.getBoundingClientRect();
+    const { charW, charH, padLeft, padTop } = this.metrics;
+    const x = (e.clientX - rect.left - padLeft) / charW;
+    const y = (e.clientY - rect.top - padTop) / charH;
+    const inside = x >= 0 && y >= 0 && x < this.cols && y < this.rows;
+    if (!inside && !this._pointerInside) return;
+
+    let type = "move";
+    if (!inside) type = "leave";
+    else if (e.type === "pointerdown") type = "down";
+    else if (e.type === "pointerup" || e.type === "pointercancel") {
+      /* a lifted finger is gone, unlike a mouse */
+      type = e.pointerType === "touch" ? "leave" : "up";
     }
+    this._pointerInside = inside && type !== "leave";
+    this._updateFocus();
+    a.pointer({ type, x, y, pointerType: e.pointerType });
   }
 
   start() {
     this.running = true;
-    this._loop();
+    this.scheduler.wake();
   }
 
   stop() {
     this.running = false;
-    if (this.frameId) cancelAnimationFrame(this.frameId);
   }
 
-  _loop(timestamp) {
-    if (!this.running || !this.visible) return;
+  _active() {
+    return this.running && this.visible && this.motion;
+  }
 
-    this.frameId = requestAnimationFrame((ts) => this._loop(ts));
+  /* anything for the scheduler's next tick */
+  _wantsFrame() {
+    return this._sizePending || this._stillPending || this._active();
+  }
 
-    if (timestamp === undefined) return;
-    const delta = timestamp - this.lastFrameTime;
-    if (delta < this.frameInterval) return;
-    this.lastFrameTime = timestamp - (delta % this.frameInterval);
+  /* one scheduler tick: deferred measuring and stills, then a step when the
+     (throttled) frame interval has passed. Returns true if a frame was drawn. */
+  _tick(timestamp) {
+    if (this._sizePending) {
+      this._sizePending = false;
+      this._computeSize();
+    }
+    if (this._stillPending) {
+      this._stillPending = false;
+      this._still();
+    }
+    if (!this._active() || !this.animation) return false;
 
-    if (!this.animation) return;
+    const interval = this.frameInterval * this.throttle;
+    const delta = timestamp - this.lastFrameTime;
+    if (delta < interval) return false;
+    this.lastFrameTime = timestamp - (delta % interval);
 
-    if (!this.prefersReducedMotion) {
+    if (this.scroll) {
+      this._scrollStep();
+    } else {
       this.animation.update();
+      this.animationFrame++;
     }
-    this._textNode.nodeValue = this.animation.draw();
+    this._present();
+    return true;
   }
 
   destroy() {
     this.stop();
-    if (this._resizeHandler) window.removeEventListener("resize", this._resizeHandler);
-    clearTimeout(this._resizeTimer);
-    if (this.intersectionObserver) this.intersectionObserver.disconnect();
+    this.destroyed = true;
+    this.scheduler.remove(this);
+    this._motionQuery.removeEventListener("change", this._motionHandler);
+    if (this.toggle) this.toggle.remove();
+    if (this._pointerHandler) {
+      for (const type of POINTER_EVENTS) {
+        window.removeEventListener(type, this._pointerHandler);
+      }
+    }
+    this._disposeAnimation();
+    this.backend.destroy();
+    this.pre.remove();
+  }
+
+  _disposeAnimation() {
+    if (this.animation && typeof this.animation.dispose === "function") {
+      this.animation.dispose();
+    }
+    this.animation = null;
+  }
+}
+
+/* ==========================================================
+   AUTO-MOUNTER — controllers from data attributes
+   <div data-ascii="Graph" data-fps="16" data-seed="book"
+        data-backend="canvas"></div>
+   ========================================================== */
+class ASCIIAutoMounter {
+  constructor(root = document) {
+    this.root = root;
+    this.controllers = new Map();
+    this.observer = null;
+  }
+
+  /* mount every [data-ascii] element in (and including) node */
+  scan(node = this.root) {
+    if (node.nodeType !== 1 && node.nodeType !== 9) return;
+    if (node.nodeType === 1 && node.hasAttribute("data-ascii")) this.mount(node);
+    node.querySelectorAll("[data-ascii]").forEach((el) => this.mount(el));
+  }
+
+  mount(el) {
+    if (this.controllers.has(el)) return this.controllers.get(el);
+    const name = el.dataset.ascii;
+    const AnimationClass = animations[name];
+    if (!AnimationClass) {
+      console.warn("ASCIIEngine: unknown animation \"" + name + "\"", el);
+      return null;
+    }
+    /* any option declared in the schema can be set as data-<option-name> */
+    const options = {};
+    for (const key of Object.keys(AnimationClass.schema || {})) {
+      if (key !== "seed" && el.dataset[key] !== undefined) options[key] = el.dataset[key];
+    }
+    const ctrl = new ASCIIAnimationController(el, AnimationClass, {
+      fps: parseFloat(el.dataset.fps) || undefined,
+      seed: el.dataset.seed,
+      backend: el.dataset.backend,
+      interactive: el.dataset.interactive !== undefined && el.dataset.interactive !== "false",
+      controls: el.dataset.controls !== "false",
+      scroll: el.dataset.scroll,
+      scrollRange: parseRange(el.dataset.scrollRange),
+      priority: parseFloat(el.dataset.priority) || 0,
+      options,
+    });
+    this.controllers.set(el, ctrl);
+    ctrl.start();
+    return ctrl;
+  }
+
+  unmount(el) {
+    const ctrl = this.controllers.get(el);
+    if (!ctrl) return;
+    ctrl.destroy();
+    this.controllers.delete(el);
+  }
+
+  /* follow elements added, removed or retargeted after the first scan */
+  observe() {
+    if (this.observer) return;
+    this.observer = new MutationObserver((records) => {
+      for (const rec of records) {
+        if (rec.type === "attributes") {
+          this.unmount(rec.target);
+          if (rec.target.hasAttribute("data-ascii")) this.mount(rec.target);
+          continue;
+        }
+        rec.addedNodes.forEach((node) => this.scan(node));
+      }
+      /* moved nodes are removed and re-added — only tear down what left the page */
+      for (const el of this.controllers.keys()) {
+        if (!el.isConnected) this.unmount(el);
+      }
+    });
+    this.observer.observe(this.root, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ["data-ascii"],
+    });
+  }
+
+  disconnect() {
+    if (this.observer) this.observer.disconnect();
+    this.observer = null;
+    for (const el of [...this.controllers.keys()]) this.unmount(el);
+  }
+}
+
+/* "from,to" → [from, to]; anything else is left to the default */
+function parseRange(str) {
+  if (!str) return null;
+  const range = str.split(",").map(parseFloat);
+  if (range.length !== 2 || range.some(Number.isNaN)) {
+    console.warn("ASCIIEngine: expected \"from,to\", got \"" + str + "\"");
+    return null;
+  }
+  return range;
+}
+
+function autoMount(root = document) {
+  const mounter = new ASCIIAutoMounter(root);
+  mounter.scan();
+  mounter.observe();
+  return mounter;
+}
+
+/* ==========================================================
+   HEADLESS RUNNER — steps animations without a DOM
+   (Node CLI exports, README banners, regression fixtures)
+   ========================================================== */
+class ASCIIHeadlessRunner {
+  constructor(AnimationClass, opts = {}) {
+    this.width = opts.width || 80;
+    this.height = opts.height || 24;
+    this.fps = opts.fps || 20;
+    this.seed = opts.seed;
+    this.frame = 0;
+    this.animation = createAnimation(getAnimation(AnimationClass), this.width, this.height,
+      Object.assign({ seed: this.seed, fps: this.fps }, opts.options));
+    /* resolves with the runner once async init() (fonts, images) is done;
+       step only after it, or the loaded assets never show up */
+    this.ready = Promise.resolve(this.animation.ready).then(() => this);
   }
+
+  /* advance without drawing, e.g. to skip the empty first frames */
+  step(n = 1) {
+    for (let i = 0; i < n; i++) this.animation.update();
+    this.frame += n;
+  }
+
+  /* same update → draw order as the controller's loop.
+     format "ansi" keeps per-cell colors as terminal escapes. */
+  next(format = "text") {
+    this.step(1);
+    const text = this.animation.draw();
+    const r = this.animation.r;
+    return format === "ansi" && r && r.styled ? r.renderANSI() : text;
+  }
+
+  /* updates before the poster frame the controller shows under reduced motion */
+  posterFrame() {
+    return Math.round(this.animation.poster() * this.fps);
+  }
+
+  run(frames, format) {
+    const out = [];
+    for (let i = 0; i < frames; i++) out.push(this.next(format));
+    return out;
+  }
+
+  dispose() {
+    if (typeof this.animation.dispose === "function") this.animation.dispose();
+  }
+}
+
+/* ANSI playback stream: hide cursor, clear once, then home + frame.
+   Pass { loop: true } to leave the cursor hidden for a caller that repeats it. */
+function framesToANSI(frames, opts = {}) {
+  const ESC = "\x1b[";
+  let out = ESC + "?25l" + ESC + "2J";
+  for (const frame of frames) {
+    out += ESC + "H" + frame.split("\n").join("\r\n");
+  }
+  if (!opts.loop) out += "\r\n" + ESC + "?25h";
+  return out;
+}
+
+/* GIF-ready frame sequence: fixed grid size and per-frame delay in ms */
+function framesToJSON(frames, opts = {}) {
+  const fps = opts.fps || 20;
+  const lines = frames.length ? frames[0].split("\n") : [];
+  return {
+    width: opts.width || (lines[0] || "").length,
+    height: opts.height || lines.length,
+    fps,
+    frames: frames.map((frame, index) => ({
+      index,
+      delay: Math.round(1000 / fps),
+      lines: frame.split("\n"),
+    })),
+  };
 }
 
-/* export for use in main.js */
-window.ASCIIEngine = {
+const ASCIIEngine = {
   Renderer: ASCIIRenderer,
   NeuralNetwork: NeuralNetworkAnimation,
   DataStream: DataStreamAnimation,
   Waveform: WaveformAnimation,
   Brain: BrainAnimation,
   Graph: GraphAnimation,
+  Image: ImageAnimation,
+  Banner: BannerAnimation,
+  Composite: CompositeAnimation,
+  Timeline: TimelineAnimation,
+  LineChart: LineChartAnimation,
+  BarChart: BarChartAnimation,
+  Histogram: HistogramAnimation,
+  Heatmap: HeatmapAnimation,
+  Animation: ASCIIAnimation,
   Controller: ASCIIAnimationController,
+  AutoMounter: ASCIIAutoMounter,
+  Headless: ASCIIHeadlessRunner,
+  Scheduler: ASCIIScheduler,
+  scheduler,
+  animations,
+  autoMount,
+  registerAnimation,
+  resolveOptions,
+  createRNG,
+  fonts,
+  registerFont,
+  loadFont,
+  parseFIGfont,
+  layoutBanner,
+  renderBanner,
+  framesToANSI,
+  framesToJSON,
 };
+
+/* export for use in main.js (browser global) and under Node (CommonJS) */
+if (typeof window !== "undefined") window.ASCIIEngine = ASCIIEngine;
+if (typeof module !== "undefined" && module.exports) module.exports = ASCIIEngine;
@@ -0,0 +1,856 @@
+/* ============================================================
+   Booking — validation, submission adapters, retries, offline queue
+   Configured from attributes on #bookingForm:
+     data-adapter    json | form | mailto
+     data-endpoint   URL for the json and form adapters
+     data-mailto     address for the mailto adapter and error fallback
+     data-retries    attempts for network adapters (default 3)
+   The slot picker reads availability from the URL in
+   #slotPicker[data-availability] (static JSON or an endpoint).
+   ============================================================ */
+
+/* ---------- submission adapters ---------- */
+class SubmissionError extends Error {
+  constructor(message, opts = {}) {
+    super(message);
+    this.name = "SubmissionError";
+    this.status = opts.status || 0;
+    /* network failures, 5xx and 429 are worth another attempt */
+    this.retryable = !!opts.retryable;
+    this.offline = !!opts.offline;
+  }
+}
+
+async function postTo(endpoint, init) {
+  if (!endpoint) throw new SubmissionError("No endpoint configured");
+  let res;
+  try {
+    res = await fetch(endpoint, Object.assign({ method: "POST" }, init));
+  } catch (err) {
+    throw new SubmissionError("Network error", { retryable: true, offline: !navigator.onLine });
+  }
+  if (!res.ok) {
+    throw new SubmissionError("Server responded " + res.status, {
+      status: res.status,
+      retryable: res.status >= 500 || res.status === 429,
+    });
+  }
+  return res;
+}
+
+const adapters = {
+  /* generic JSON POST endpoint */
+  json(data, config) {
+    return postTo(config.endpoint, {
+      headers: { "Content-Type": "application/json", Accept: "application/json" },
+      body: JSON.stringify(data),
+    });
+  },
+
+  /* Formspree-style: url-encoded fields, JSON reply */
+  form(data, config) {
+    const body = new URLSearchParams();
+    for (const [key, value] of Object.entries(data)) {
+      body.append(key, typeof value === "object" ? JSON.stringify(value) : value);
+    }
+    return postTo(config.endpoint, {
+      headers: { Accept: "application/json" },
+      body,
+    });
+  },
+
+  /* hands the request to the visitor's mail client — nothing to retry, and
+     nothing is known to be sent until they press send there */
+  mailto(data, config) {
+    window.location.href = mailtoURL(data, config.mailto);
+    return Promise.resolve();
+  },
+};
+
+function mailtoURL(data, address) {
+  const name = (data.firstName + " " + data.lastName).trim();
+  const lines = Object.entries(data)
+    .filter(([, value]) => value !== "" && value !== undefined)
+    .map(([key, value]) => key + ": " + (typeof value === "object" ? JSON.stringify(value) : value));
+  return "mailto:" + address +
+    "?subject=" + encodeURIComponent("Strategy session request — " + name) +
+    "&body=" + encodeURIComponent(lines.join("\n"));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/* exponential backoff with jitter: ~1s, 2s, 4s … between attempts */
+async function withRetry(fn, attempts, baseDelay = 1000) {
+  for (let i = 0; ; i++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (!err.retryable || err.offline || i >= attempts - 1) throw err;
+      await sleep(baseDelay * 2 ** i * (0.75 + Math.random() * 0.5));
+    }
+  }
+}
+
+function readConfig(form) {
+  return {
+    adapter: adapters[form.dataset.adapter] ? form.dataset.adapter : "mailto",
+    endpoint: form.dataset.endpoint || "",
+    mailto: form.dataset.mailto || "hello@mindfox.io",
+    retries: parseInt(form.dataset.retries, 10) || 3,
+  };
+}
+
+function submitBooking(data, config) {
+  const adapter = adapters[config.adapter];
+  if (config.adapter === "mailto") return adapter(data, config);
+  return withRetry(() => adapter(data, config), config.retries);
+}
+
+/* ---------- offline queue ---------- */
+const QUEUE_KEY = "mindfox:booking-queue";
+
+function readQueue() {
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function writeQueue(queue) {
+  try {
+    if (queue.length) localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+    else localStorage.removeItem(QUEUE_KEY);
+    return true;
+  } catch (err) {
+    return false;   /* private mode / quota — caller shows the error state */
+  }
+}
+
+function enqueue(data, config) {
+  const queue = readQueue();
+  const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  queue.push({ id, data, config, queuedAt: new Date().toISOString() });
+  return writeQueue(queue);
+}
+
+/* entries from before ids were added are told apart by their timestamp */
+function queueKey(entry) {
+  return entry.id || entry.queuedAt;
+}
+
+/* send whatever was queued; entries that still fail stay queued.
+   Resolves to the number of submissions delivered. */
+let flushing = null;
+function flushQueue() {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    let sent = 0;
+    const done = new Set();
+    for (const entry of readQueue()) {
+      if (!navigator.onLine) break;
+      try {
+        await submitBooking(entry.data, entry.config);
+        sent++;
+        done.add(queueKey(entry));
+      } catch (err) {
+        /* a 4xx will never succeed — drop it rather than retry forever */
+        if (!err.retryable) done.add(queueKey(entry));
+      }
+    }
+    /* re-read: requests queued while these were sending must survive */
+    if (done.size) writeQueue(readQueue().filter((entry) => !done.has(queueKey(entry))));
+    flushing = null;
+    return sent;
+  })();
+  return flushing;
+}
+
+/* ---------- validation ---------- */
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const RULES = {
+  firstName: (v) => (v.trim() ? "" : "Please enter your first name."),
+  lastName: (v) => (v.trim() ? "" : "Please enter your last name."),
+  email: (v) => {
+    if (!v.trim()) return "Please enter your work email.";
+    return EMAIL_RE.test(v.trim()) ? "" : "That email address doesn't look right.";
+  },
+  service: (v) => (v ? "" : "Please choose an area of interest."),
+  /* only required once the picker has times to offer */
+  slot: (v, field) => (v || !field.required ? "" : "Please choose a time for the call."),
+};
+
+/* fields without a named rule (e.g. follow-up questions) just need a value */
+function requiredRule(v, field) {
+  return !field.required || v.trim() ? "" : "Please answer this question.";
+}
+
+function needsValidation(field) {
+  return !!field.name && (!!RULES[field.name] || field.required);
+}
+
+function validateField(field) {
+  const rule = RULES[field.name] || requiredRule;
+  const message = rule(field.value, field);
+  showFieldError(field, message);
+  return !message;
+}
+
+/* inline message below the field, linked for screen readers */
+function showFieldError(field, message) {
+  const id = field.id + "-error";
+  let el = document.getElementById(id);
+  if (!el && message) {
+    el = document.createElement("span");
+    el.className = "form-error";
+    el.id = id;
+    field.insertAdjacentElement("afterend", el);
+  }
+  if (el) el.textContent = message;
+  field.classList.toggle("invalid", !!message);
+  if (message) {
+    field.setAttribute("aria-invalid", "true");
+    field.setAttribute("aria-describedby", id);
+  } else {
+    field.removeAttribute("aria-invalid");
+    field.removeAttribute("aria-describedby");
+  }
+}
+
+/* validates every field in the form or step; returns the first invalid one */
+function validateForm(container) {
+  let first = null;
+  for (const field of container.querySelectorAll("input, select, textarea")) {
+    if (needsValidation(field) && !validateField(field) && !first) first = field;
+  }
+  return first;
+}
+
+/* hidden inputs (the slot) can't take focus — use their widget instead */
+function focusField(field) {
+  if (field.type !== "hidden") { field.focus(); return; }
+  const widget = field.closest(".form-group").querySelector("button:not([disabled])");
+  if (widget) widget.focus();
+}
+
+function collectData(form) {
+  const data = Object.fromEntries(new FormData(form));
+  const slot = form.elements.slot;
+  if (slot && slot.value) {
+    data.slotLabel = slot.dataset.label;
+    data.slotDuration = slot.dataset.duration;
+  } else {
+    delete data.slot;
+  }
+  data.submittedAt = new Date().toISOString();
+  data.page = window.location.pathname;
+  return data;
+}
+
+/* ---------- slot picker ---------- */
+/* Availability JSON is either an explicit list
+     { "duration": 30, "slots": [{ "start": "<ISO>", "taken": false }] }
+   or weekly opening hours in UTC plus already-booked starts
+     { "duration": 30, "days": 14, "leadHours": 24,
+       "weekly": { "mon": ["14:00-17:00"] }, "taken": ["<ISO>"] } */
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+function buildSlots(av, now = Date.now()) {
+  if (Array.isArray(av.slots)) {
+    return av.slots
+      .map((slot) => ({ start: new Date(slot.start), taken: !!slot.taken || slot.available === false }))
+      .filter((slot) => slot.start.getTime() > now);
+  }
+  const duration = av.duration || 30;
+  const earliest = now + (av.leadHours !== undefined ? av.leadHours : 24) * 3600e3;
+  const taken = new Set((av.taken || []).map((t) => new Date(t).getTime()));
+  const today = new Date(now);
+  const midnight = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+  const slots = [];
+  for (let d = 0; d < (av.days || 14); d++) {
+    const day = midnight + d * 86400e3;
+    const ranges = (av.weekly || {})[WEEKDAYS[new Date(day).getUTCDay()]] || [];
+    for (const range of ranges) {
+      const [from, to] = range.split("-").map((hm) => {
+        const [h, m] = hm.split(":").map(Number);
+        return h * 60 + (m || 0);
+      });
+      for (let t = from; t + duration <= to; t += duration) {
+        const start = day + t * 60e3;
+        if (start < earliest) continue;
+        slots.push({ start: new Date(start), taken: taken.has(start) });
+      }
+    }
+  }
+  return slots;
+}
+
+/* renders day tabs and time buttons in the visitor's local timezone;
+   the chosen start (UTC ISO) lands in the hidden "slot" input.
+   hooks.onChange runs whenever that value is set or cleared. */
+function initSlotPicker(container, input, hooks = {}) {
+  const status = container.querySelector(".slot-picker__status");
+  const daysEl = container.querySelector(".slot-picker__days");
+  const timesEl = container.querySelector(".slot-picker__times");
+  const tzInput = input.form.elements.timezone;
+  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const dayFmt = new Intl.DateTimeFormat(undefined, { weekday: "short", month: "short", day: "numeric" });
+  const timeFmt = new Intl.DateTimeFormat(undefined, { hour: "numeric", minute: "2-digit" });
+  let duration = 30;
+  let activeDay = null;
+
+  if (tzInput) tzInput.value = timezone;
+
+  function select(slot, button) {
+    timesEl.querySelectorAll("button").forEach((b) => b.setAttribute("aria-pressed", "false"));
+    button.setAttribute("aria-pressed", "true");
+    input.value = slot.start.toISOString();
+    input.dataset.label = dayFmt.format(slot.start) + ", " + timeFmt.format(slot.start) + " (" + timezone + ")";
+    input.dataset.duration = duration;
+    validateField(input);
+    if (hooks.onChange) hooks.onChange();
+  }
+
+  /* a slot restored from the draft may have passed or been booked since */
+  function dropSlot() {
+    input.value = "";
+    delete input.dataset.label;
+    delete input.dataset.duration;
+    if (hooks.onChange) hooks.onChange();
+  }
+
+  function showDay(key, days) {
+    activeDay = key;
+    daysEl.querySelectorAll("button").forEach((b) => b.setAttribute("aria-pressed", String(b.dataset.day === key)));
+    timesEl.textContent = "";
+    for (const slot of days.get(key)) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "slot-picker__time";
+      button.textContent = timeFmt.format(slot.start);
+      button.disabled = slot.taken;
+      button.setAttribute("aria-pressed", String(input.value === slot.start.toISOString()));
+      if (slot.taken) button.title = "Already booked";
+      button.addEventListener("click", () => select(slot, button));
+      timesEl.appendChild(button);
+    }
+  }
+
+  return fetch(container.dataset.availability, { headers: { Accept: "application/json" } })
+    .then((res) => {
+      if (!res.ok) throw new Error("availability " + res.status);
+      return res.json();
+    })
+    .then((av) => {
+      duration = av.duration || 30;
+      /* group by local calendar day, keeping only days with a free slot */
+      const days = new Map();
+      for (const slot of buildSlots(av)) {
+        const key = slot.start.toDateString();
+        if (!days.has(key)) days.set(key, []);
+        days.get(key).push(slot);
+      }
+      for (const [key, slots] of days) {
+        if (slots.every((slot) => slot.taken)) days.delete(key);
+      }
+      if (!days.size) throw new Error("no free slots");
+
+      if (input.value) {
+        const restored = [...days.values()].flat()
+          .find((slot) => !slot.taken && slot.start.toISOString() === input.value);
+        if (restored) {
+          activeDay = restored.start.toDateString();
+          input.dataset.duration = duration;
+        } else {
+          dropSlot();
+        }
+      }
+
+      for (const [key, slots] of days) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "slot-picker__day";
+        button.dataset.day = key;
+        button.textContent = dayFmt.format(slots[0].start);
+        button.addEventListener("click", () => showDay(key, days));
+        daysEl.appendChild(button);
+      }
+      status.textContent = "Times shown in your timezone (" + timezone + "), " + duration + " minutes.";
+      input.required = true;
+      showDay(activeDay || days.keys().next().value, days);
+    })
+    .catch(() => {
+      if (input.value && new Date(input.value).getTime() <= Date.now()) dropSlot();
+      /* booking still works — we'll propose times by email */
+      status.textContent = "Live availability is unavailable right now. Submit the form and we'll email you a few times.";
+      input.required = false;
+    });
+}
+
+/* ---------- calendar invite ---------- */
+function icsText(str) {
+  return String(str).replace(/[\\;,]/g, "\\$&").replace(/\n/g, "\\n");
+}
+
+function icsDate(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function buildICS(data, mailto) {
+  const start = new Date(data.slot);
+  const minutes = parseInt(data.slotDuration, 10) || 30;
+  const end = new Date(start.getTime() + minutes * 60e3);
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Mind Fox//Booking//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    "UID:" + start.getTime() + "-" + encodeURIComponent(data.email) + "@mindfox.io",
+    "DTSTAMP:" + icsDate(new Date()),
+    "DTSTART:" + icsDate(start),
+    "DTEND:" + icsDate(end),
+    "SUMMARY:" + icsText("Mind Fox strategy session"),
+    "DESCRIPTION:" + icsText("Free " + minutes + "-minute AI strategy session with the Mind Fox team.\n" +
+      "We'll send a video link before the call. Questions: " + mailto),
+    "ORGANIZER;CN=Mind Fox:mailto:" + mailto,
+    "ATTENDEE;CN=" + icsText(data.firstName + " " + data.lastName) + ":mailto:" + data.email,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].join("\r\n") + "\r\n";
+}
+
+/* ---------- multi-step wizard ---------- */
+/* Follow-up questions by service, plus extra ones by budget range.
+   type: "select" (with options) or "text"; required ones block "Continue". */
+const FOLLOW_UPS = {
+  "ml-engineering": [
+    { name: "mlProblem", label: "What are you trying to predict or automate?", type: "select", required: true,
+      options: ["Forecasting", "Classification / scoring", "Recommendations", "Anomaly detection", "Optimization", "Other"] },
+    { name: "dataSources", label: "Where does the data live today?", type: "text",
+      placeholder: "Warehouse, data lake, spreadsheets, third-party APIs…" },
+  ],
+  "deep-learning": [
+    { name: "modality", label: "Data modality", type: "select", required: true,
+      options: ["Images", "Text", "Audio", "Time series", "Tabular", "Multimodal"] },
+    { name: "labels", label: "Do you have labeled data?", type: "select",
+      options: ["Yes, plenty", "Some / partially", "No labels yet"] },
+  ],
+  "nlp": [
+    { name: "modelType", label: "Model type", type: "select", required: true,
+      options: ["Hosted LLM API", "Open-weights LLM", "Fine-tuned small model", "Classical NLP", "Not sure yet"] },
+    { name: "nlpUseCase", label: "Main use case", type: "select",
+      options: ["Search / RAG over documents", "Assistant or chatbot", "Document extraction", "Classification / routing", "Summarization", "Other"] },
+  ],
+  "computer-vision": [
+    { name: "visionTask", label: "Vision task", type: "select", required: true,
+      options: ["Object detection", "Segmentation", "Classification", "OCR / documents", "Video analytics", "Other"] },
+    { name: "deployment", label: "Where will it run?", type: "select",
+      options: ["Cloud", "Edge devices", "On-premise servers", "Not decided"] },
+  ],
+  "ai-strategy": [
+    { name: "maturity", label: "Where are you with AI today?", type: "select", required: true,
+      options: ["Exploring ideas", "Running pilots", "Some models in production", "Scaling across teams"] },
+    { name: "stakeholders", label: "Who else should join the call?", type: "text",
+      placeholder: "e.g. CTO, Head of Data, product owner" },
+  ],
+  "mlops": [
+    { name: "dataVolume", label: "Data volume", type: "select", required: true,
+      options: ["< 100 GB", "100 GB – 1 TB", "1 – 10 TB", "10 – 100 TB", "100 TB+"] },
+    { name: "modelsInProduction", label: "Models in production", type: "select",
+      options: ["None yet", "1 – 5", "6 – 20", "20+"] },
+    { name: "platform", label: "Cloud / platform", type: "select",
+      options: ["AWS", "Google Cloud", "Azure", "On-premise", "Multi-cloud"] },
+  ],
+  "other": [],
+};
+
+const BUDGET_FOLLOW_UPS = {
+  "<50k": [
+    { name: "engagement", label: "What would a first engagement look like?", type: "select",
+      options: ["Proof of concept", "Technical audit", "Workshop / training", "Not sure"] },
+  ],
+  "150k-500k": [
+    { name: "timeline", label: "Target timeline", type: "select",
+      options: ["< 3 months", "3 – 6 months", "6 – 12 months", "Flexible"] },
+  ],
+  "500k+": [
+    { name: "timeline", label: "Target timeline", type: "select",
+      options: ["< 3 months", "3 – 6 months", "6 – 12 months", "Flexible"] },
+    { name: "procurement", label: "Security review or procurement steps we should plan for?", type: "text",
+      placeholder: "Vendor onboarding, SOC 2, DPA…" },
+  ],
+};
+
+function renderQuestion(q) {
+  const group = document.createElement("div");
+  group.className = "form-group";
+  const id = "fu-" + q.name;
+  const label = document.createElement("label");
+  label.htmlFor = id;
+  label.textContent = q.label + (q.required ? " *" : "");
+  let field;
+  if (q.type === "select") {
+    field = document.createElement("select");
+    field.add(new Option("Select an option", ""));
+    field.options[0].disabled = true;
+    for (const option of q.options) field.add(new Option(option, option));
+  } else {
+    field = document.createElement("input");
+    field.type = "text";
+    if (q.placeholder) field.placeholder = q.placeholder;
+  }
+  field.id = id;
+  field.name = q.name;
+  field.required = !!q.required;
+  group.append(label, field);
+  return group;
+}
+
+/* re-render the questions for the current answers, keeping what was typed */
+function renderFollowUps(container, service, budget, values = {}) {
+  const previous = Object.assign({}, values);
+  container.querySelectorAll("[name]").forEach((f) => {
+    if (previous[f.name] === undefined) previous[f.name] = f.value;
+  });
+  container.textContent = "";
+  const seen = new Set();
+  for (const q of [...(FOLLOW_UPS[service] || []), ...(BUDGET_FOLLOW_UPS[budget] || [])]) {
+    if (seen.has(q.name)) continue;
+    seen.add(q.name);
+    const group = renderQuestion(q);
+    const field = group.querySelector("[name]");
+    field.value = previous[q.name] || "";
+    container.appendChild(group);
+  }
+}
+
+/* one <fieldset class="form-step"> visible at a time, with a progress list */
+function initWizard(form, hooks = {}) {
+  const steps = [...form.querySelectorAll(".form-step")];
+  const progress = form.querySelector(".form-progress");
+  const backBtn = form.querySelector('[data-wizard="back"]');
+  const nextBtn = form.querySelector('[data-wizard="next"]');
+  const submitBtn = form.querySelector('button[type="submit"]');
+  let current = 0;
+
+  const items = steps.map((step, i) => {
+    const li = document.createElement("li");
+    li.textContent = step.dataset.title;
+    li.dataset.num = i + 1;
+    progress.appendChild(li);
+    return li;
+  });
+
+  const wizard = {
+    get current() { return current; },
+    steps,
+
+    isLast() {
+      return current === steps.length - 1;
+    },
+
+    stepOf(field) {
+      return steps.findIndex((step) => step.contains(field));
+    },
+
+    goTo(i, focus = true) {
+      current = Math.max(0, Math.min(steps.length - 1, i));
+      steps.forEach((step, n) => { step.hidden = n !== current; });
+      items.forEach((li, n) => {
+        li.classList.toggle("done", n < current);
+        li.classList.toggle("active", n === current);
+        if (n === current) li.setAttribute("aria-current", "step");
+        else li.removeAttribute("aria-current");
+      });
+      backBtn.hidden = current === 0;
+      nextBtn.hidden = wizard.isLast();
+      submitBtn.hidden = !wizard.isLast();
+      if (hooks.onChange) hooks.onChange(current);
+      if (focus) steps[current].querySelector(".form-step__title").focus();
+    },
+
+    /* only moves on when the current step is valid */
+    next() {
+      const invalid = validateForm(steps[current]);
+      if (invalid) {
+        if (hooks.onInvalid) hooks.onInvalid();
+        focusField(invalid);
+        return false;
+      }
+      wizard.goTo(current + 1);
+      return true;
+    },
+
+    back() {
+      wizard.goTo(current - 1);
+    },
+  };
+
+  backBtn.addEventListener("click", () => wizard.back());
+  nextBtn.addEventListener("click", () => wizard.next());
+  return wizard;
+}
+
+/* review step: answers grouped by step, each with an "Edit" jump */
+function renderSummary(container, wizard) {
+  const form = container.closest("form");
+  container.textContent = "";
+  wizard.steps.slice(0, -1).forEach((step, i) => {
+    const section = document.createElement("div");
+    section.className = "form-summary__step";
+    const head = document.createElement("div");
+    head.className = "form-summary__head";
+    const title = document.createElement("h4");
+    title.textContent = step.dataset.title;
+    const edit = document.createElement("button");
+    edit.type = "button";
+    edit.className = "form-summary__edit";
+    edit.textContent = "Edit";
+    edit.setAttribute("aria-label", "Edit " + step.dataset.title);
+    edit.addEventListener("click", () => wizard.goTo(i));
+    head.append(title, edit);
+
+    const list = document.createElement("dl");
+    for (const field of step.querySelectorAll("input, select, textarea")) {
+      if (!field.name || field.name === "timezone") continue;
+      let value = field.value;
+      let labelText;
+      if (field.name === "slot") {
+        labelText = "Time";
+        value = value ? field.dataset.label : "";
+      } else {
+        const label = form.querySelector('label[for="' + field.id + '"]');
+        labelText = label ? label.textContent.replace(/\s*\*$/, "") : field.name;
+        if (field.tagName === "SELECT" && field.selectedIndex > 0) value = field.options[field.selectedIndex].text;
+      }
+      const dt = document.createElement("dt");
+      dt.textContent = labelText;
+      const dd = document.createElement("dd");
+      dd.textContent = value || "—";
+      list.append(dt, dd);
+    }
+    section.append(head, list);
+    container.appendChild(section);
+  });
+}
+
+/* ---------- draft persistence ---------- */
+const DRAFT_KEY = "mindfox:booking-draft";
+
+function saveDraft(form, step) {
+  const values = {};
+  for (const field of form.elements) {
+    if (field.name && field.type !== "submit") values[field.name] = field.value;
+  }
+  const slot = form.elements.slot;
+  try {
+    sessionStorage.setItem(DRAFT_KEY, JSON.stringify({
+      step,
+      values,
+      slotLabel: slot.dataset.label,
+      slotDuration: slot.dataset.duration,
+    }));
+  } catch (err) {
+    /* storage unavailable — drafts are a convenience only */
+  }
+}
+
+function loadDraft() {
+  try {
+    return JSON.parse(sessionStorage.getItem(DRAFT_KEY));
+  } catch (err) {
+    return null;
+  }
+}
+
+function clearDraft() {
+  try {
+    sessionStorage.removeItem(DRAFT_KEY);
+  } catch (err) {
+    /* nothing to clear */
+  }
+}
+
+/* static fields first, then the follow-ups they unlock */
+function restoreDraft(form, draft, followUps) {
+  const { values } = draft;
+  for (const field of form.elements) {
+    if (field.name && values[field.name] !== undefined && field.type !== "submit") {
+      field.value = values[field.name];
+    }
+  }
+  renderFollowUps(followUps, values.service, values.budget, values);
+  const slot = form.elements.slot;
+  if (slot.value) {
+    slot.dataset.label = draft.slotLabel || "";
+    slot.dataset.duration = draft.slotDuration || "";
+  }
+}
+
+/* ---------- page wiring ---------- */
+document.addEventListener("DOMContentLoaded", () => {
+  const form = document.getElementById("bookingForm");
+  const formSuccess = document.getElementById("formSuccess");
+  const formQueued = document.getElementById("formQueued");
+  const formMailto = document.getElementById("formMailto");
+  const formMailtoLink = document.getElementById("formMailtoLink");
+  const formError = document.getElementById("formError");
+  const formErrorText = document.getElementById("formErrorText");
+  const formErrorMail = document.getElementById("formErrorMail");
+  const icsLinks = document.querySelectorAll("[data-ics]");
+  const slotPicker = document.getElementById("slotPicker");
+  const followUps = document.getElementById("followUps");
+  const formSummary = document.getElementById("formSummary");
+
+  /* deliver anything left over from an earlier offline visit */
+  flushQueue();
+  window.addEventListener("online", () => {
+    flushQueue().then((sent) => {
+      if (sent && formQueued && formQueued.classList.contains("active")) {
+        formQueued.classList.remove("active");
+        formSuccess.classList.add("active");
+      }
+    });
+  });
+
+  if (!form || !formSuccess) return;
+  const config = readConfig(form);
+  const submitBtn = form.querySelector('button[type="submit"]');
+  const submitLabel = submitBtn.textContent;
+  let attempted = false;
+
+  /* steps, follow-up questions and the session draft */
+  let wizard = null;
+  if (followUps && form.querySelector(".form-step")) {
+    const draft = loadDraft();
+    if (draft) restoreDraft(form, draft, followUps);
+    wizard = initWizard(form, {
+      onChange(step) {
+        formError.hidden = true;
+        if (wizard && wizard.isLast()) renderSummary(formSummary, wizard);
+        saveDraft(form, step);
+      },
+      onInvalid() { attempted = true; },
+    });
+    wizard.goTo(draft ? draft.step : 0, false);
+
+    const refresh = () => renderFollowUps(followUps, form.elements.service.value, form.elements.budget.value);
+    form.elements.service.addEventListener("change", refresh);
+    form.elements.budget.addEventListener("change", refresh);
+
+    let saveTimer = null;
+    form.addEventListener("input", () => {
+      clearTimeout(saveTimer);
+      saveTimer = setTimeout(() => saveDraft(form, wizard.current), 300);
+    });
+  }
+
+  /* the slot picker sets a hidden input, which fires no input event */
+  if (slotPicker) {
+    initSlotPicker(slotPicker, form.elements.slot, {
+      onChange() {
+        if (!wizard) return;
+        if (wizard.isLast()) renderSummary(formSummary, wizard);
+        saveDraft(form, wizard.current);
+      },
+    });
+  }
+
+  /* downloadable invite for the chosen slot, in every final state */
+  function offerInvite(data) {
+    if (!icsLinks.length || !data.slot) return;
+    const blob = new Blob([buildICS(data, config.mailto)], { type: "text/calendar" });
+    const url = URL.createObjectURL(blob);
+    icsLinks.forEach((link) => {
+      link.href = url;
+      link.hidden = false;
+    });
+  }
+
+  /* once the visitor has tried to submit, re-check fields as they type */
+  form.addEventListener("input", (e) => {
+    if (attempted && needsValidation(e.target)) validateField(e.target);
+  });
+  form.addEventListener("change", (e) => {
+    if (attempted && needsValidation(e.target)) validateField(e.target);
+  });
+  form.addEventListener("focusout", (e) => {
+    if (needsValidation(e.target) && e.target.value) validateField(e.target);
+  });
+
+  function showState(panel) {
+    form.style.display = "none";
+    panel.classList.add("active");
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  }
+
+  function setBusy(busy) {
+    submitBtn.disabled = busy;
+    submitBtn.textContent = busy ? "Sending…" : submitLabel;
+    form.setAttribute("aria-busy", busy ? "true" : "false");
+  }
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    /* Enter on an earlier step means "Continue" */
+    if (wizard && !wizard.isLast()) {
+      wizard.next();
+      return;
+    }
+    attempted = true;
+    formError.hidden = true;
+    const invalid = validateForm(form);
+    if (invalid) {
+      if (wizard) wizard.goTo(wizard.stepOf(invalid), false);
+      focusField(invalid);
+      return;
+    }
+
+    const data = collectData(form);
+
+    /* offline: keep it for later instead of failing */
+    if (!navigator.onLine && config.adapter !== "mailto" && enqueue(data, config)) {
+      clearDraft();
+      offerInvite(data);
+      showState(formQueued);
+      return;
+    }
+
+    /* the mail client takes over; keep the draft until we know it was sent */
+    if (config.adapter === "mailto") {
+      await submitBooking(data, config);
+      if (formMailtoLink) formMailtoLink.href = mailtoURL(data, config.mailto);
+      offerInvite(data);
+      showState(formMailto || formSuccess);
+      return;
+    }
+
+    setBusy(true);
+    try {
+      await submitBooking(data, config);
+      clearDraft();
+      offerInvite(data);
+      showState(formSuccess);
+    } catch (err) {
+      if (err.offline && enqueue(data, config)) {
+        clearDraft();
+        offerInvite(data);
+        showState(formQueued);
+        return;
+      }
+      formErrorText.textContent = err.status >= 400 && err.status < 500
+        ? "We couldn't accept that request. Please check your details and try again."
+        : "We couldn't send your request just now. Please try again in a moment.";
+      formErrorMail.href = mailtoURL(data, config.mailto);
+      formError.hidden = false;
+      formError.focus();
+    } finally {
+      setBusy(false);
+    }
+  });
+});
@@ -28,51 +28,8 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   /* ───────── ASCII Animations ───────── */
-
-  /* Hero — Neural Network */
-  const heroEl = document.getElementById("asciiHero");
-  if (heroEl) {
-    const ctrl = new E.Controller(heroEl, E.NeuralNetwork, { fps: 18 });
-    ctrl.start();
-  }
-
-  /* Data Stream divider */
-  const dsEl = document.getElementById("asciiDataStream");
-  if (dsEl) {
-    const ctrl = new E.Controller(dsEl, E.DataStream, { fps: 16 });
-    ctrl.start();
-  }
-
-  /* Waveform divider */
-  const wfEl = document.getElementById("asciiWaveform");
-  if (wfEl) {
-    const ctrl = new E.Controller(wfEl, E.Waveform, { fps: 24 });
-    ctrl.start();
-  }
-
-  /* CTA background */
-  const ctaEl = document.getElementById("asciiCTA");
-  if (ctaEl) {
-    const ctrl = new E.Controller(ctaEl, E.DataStream, { fps: 12 });
-    ctrl.start();
-  }
-
-  /* Booking page — Graph animation */
-  const bookEl = document.getElementById("asciiBooking");
-  if (bookEl) {
-    const ctrl = new E.Controller(bookEl, E.Graph, { fps: 16 });
-    ctrl.start();
-  }
-
-  /* Case study mini-animations */
-  const caseAnimations = [E.Brain, E.Waveform, E.Graph];
-  for (let i = 1; i <= 3; i++) {
-    const el = document.getElementById("asciiCase" + i);
-    if (el) {
-      const ctrl = new E.Controller(el, caseAnimations[i - 1], { fps: 14 });
-      ctrl.start();
-    }
-  }
+  /* mounted from data-ascii / data-fps / data-seed / data-backend attributes */
+  E.autoMount();
 
   /* ───────── Fade-in on scroll ───────── */
   const fadeEls = document.querySelectorAll(".fade-in");
@@ -91,9 +48,73 @@ document.addEventListener("DOMContentLoaded", () => {
     fadeEls.forEach((el) => fadeObserver.observe(el));
   }
 
-  /* ───────── Stat counter animation ───────── */
-  const statNumbers = document.querySelectorAll("[data-count]");
-  if (statNumbers.length) {
+  /* ───────── Stat counters ───────── */
+  /* [data-count] elements count up when scrolled into view. A container with
+     data-stats="<url>" fills them from JSON first, matched by data-stat="<id>";
+     stats without a card get one. Per element:
+       data-count     target value, decimals allowed
+       data-decimals  fraction digits (default: as written in data-count)
+       data-format    "standard" (thousands separators) or "compact" (1.2K)
+       data-locale    number locale (default: the page's lang)
+       data-prefix / data-suffix
+       data-duration  ms (default 1600)
+       data-easing    linear | ease-in | ease-out | ease-in-out | ease-out-expo
+       data-effect    count (default), odometer or scramble
+       data-seed      seed for the scramble glyphs */
+  const EASINGS = {
+    linear: (t) => t,
+    "ease-in": (t) => t * t * t,
+    "ease-out": (t) => 1 - Math.pow(1 - t, 3),
+    "ease-in-out": (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(2 - 2 * t, 3) / 2),
+    "ease-out-expo": (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+  };
+  const STAT_FIELDS = ["decimals", "format", "locale", "prefix", "suffix",
+    "duration", "easing", "effect", "seed"];
+  const SCRAMBLE_GLYPHS = "#%&*+=?@$<>/\\01";
+  const UNSETTLED = { opacity: 0.5 };
+  const reducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)");
+
+  const statsSource = document.querySelector("[data-stats]");
+  (statsSource ? loadStats(statsSource) : Promise.resolve()).then(observeCounters);
+
+  function loadStats(container) {
+    return fetch(container.dataset.stats, { headers: { Accept: "application/json" } })
+      .then((res) => {
+        if (!res.ok) throw new Error("stats " + res.status);
+        return res.json();
+      })
+      .then((data) => {
+        (data.stats || []).forEach((entry) => {
+          const stat = Object.assign({}, data.defaults, entry);
+          const el = container.querySelector('[data-stat="' + CSS.escape(stat.id) + '"]')
+            || addStatCard(container, stat.id);
+          el.dataset.count = stat.value;
+          STAT_FIELDS.forEach((key) => {
+            if (stat[key] === undefined) delete el.dataset[key];
+            else el.dataset[key] = stat[key];
+          });
+          const label = el.parentElement.querySelector(".stat-card__label");
+          if (label && stat.label) label.textContent = stat.label;
+        });
+      })
+      .catch((err) => {
+        /* the values written in the markup stay */
+        console.warn("Stats unavailable:", err.message);
+      });
+  }
+
+  function addStatCard(container, id) {
+    const card = document.createElement("div");
+    card.className = "stat-card fade-in visible";
+    card.innerHTML = '<div class="stat-card__number">0</div><div class="stat-card__label"></div>';
+    container.appendChild(card);
+    card.firstElementChild.dataset.stat = id;
+    return card.firstElementChild;
+  }
+
+  function observeCounters() {
+    const statNumbers = document.querySelectorAll("[data-count]");
+    if (!statNumbers.length) return;
     const statObserver = new IntersectionObserver(
       (entries) => {
         entries.forEach((entry) => {
@@ -108,33 +129,76 @@ document.addEventListener("DOMContentLoaded", () => {
     statNumbers.forEach((el) => statObserver.observe(el));
   }
 
+  /* value -> display text for an element's format attributes */
+  function counterFormat(el) {
+    const d = el.dataset;
+    const written = (d.count.split(".")[1] || "").length;
+    const decimals = d.decimals !== undefined ? parseInt(d.decimals, 10) : written;
+    const locale = d.locale || document.documentElement.lang || undefined;
+    const nf = new Intl.NumberFormat(locale, d.format === "compact"
+      ? { notation: "compact", maximumFractionDigits: d.decimals !== undefined ? decimals : 1 }
+      : { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+    const prefix = d.prefix || "";
+    const suffix = d.suffix || "";
+    return (value) => prefix + nf.format(value) + suffix;
+  }
+
   function animateCounter(el) {
-    const target = parseInt(el.dataset.count, 10);
-    const suffix = el.dataset.suffix || "";
-    const duration = 1600;
-    const start = performance.now();
+    const target = parseFloat(el.dataset.count) || 0;
+    const format = counterFormat(el);
+    const duration = el.dataset.duration !== undefined ? Number(el.dataset.duration) : 1600;
+    const ease = EASINGS[el.dataset.easing] || EASINGS["ease-out"];
+    if (reducedMotion.matches || !(duration > 0)) {
+      el.textContent = format(target);
+      return;
+    }
+
+    let draw;
+    if (el.dataset.effect === "odometer") draw = odometer(el, format(target));
+    else if (el.dataset.effect === "scramble") draw = scramble(el, format(target));
+    else draw = (t) => { el.textContent = format(t * target); };
 
+    const start = performance.now();
     function tick(now) {
-      const elapsed = now - start;
-      const progress = Math.min(elapsed / duration, 1);
-      const eased = 1 - Math.pow(1 - progress, 3); // ease-out cubic
-      const current = Math.round(eased * target);
-      el.textContent = current + suffix;
+      const progress = Math.min((now - start) / duration, 1);
+      draw(ease(progress));
       if (progress < 1) requestAnimationFrame(tick);
     }
     requestAnimationFrame(tick);
   }
 
-  /* ───────── Booking form ───────── */
-  const form = document.getElementById("bookingForm");
-  const formSuccess = document.getElementById("formSuccess");
-  if (form && formSuccess) {
-    form.addEventListener("submit", (e) => {
-      e.preventDefault();
-      /* In production, send to an API (Formspree, Netlify Forms, etc.) */
-      form.style.display = "none";
-      formSuccess.classList.add("active");
-      window.scrollTo({ top: 0, behavior: "smooth" });
-    });
+  /* digit wheels roll up to the final text, each place making one more turn
+     than the place to its left; wheels still turning are dimmed */
+  function odometer(el, text) {
+    const r = new E.Renderer(text.length, 1);
+    const steps = [];
+    let wheel = 0;
+    for (let i = 0; i < text.length; i++) {
+      steps.push(/[0-9]/.test(text[i]) ? wheel++ * 10 + Number(text[i]) : -1);
+    }
+    return (t) => {
+      r.clear();
+      for (let i = 0; i < text.length; i++) {
+        if (steps[i] < 0) { r.set(i, 0, text[i]); continue; }
+        const pos = Math.round(t * steps[i]);
+        r.set(i, 0, String(pos % 10), pos < steps[i] ? UNSETTLED : null);
+      }
+      el.innerHTML = r.renderHTML();
+    };
+  }
+
+  /* glyphs resolve out of noise, roughly left to right */
+  function scramble(el, text) {
+    const r = new E.Renderer(text.length, 1);
+    const rng = E.createRNG(el.dataset.seed);
+    const lockAt = Array.from(text, (_, i) => 0.2 + 0.7 * (i + rng()) / text.length);
+    return (t) => {
+      r.clear();
+      for (let i = 0; i < text.length; i++) {
+        if (t >= lockAt[i] || text[i] === " ") r.set(i, 0, text[i]);
+        else r.set(i, 0, SCRAMBLE_GLYPHS[Math.floor(rng() * SCRAMBLE_GLYPHS.length)], UNSETTLED);
+      }
+      el.innerHTML = r.renderHTML();
+    };
   }
 });
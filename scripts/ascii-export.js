@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/* ============================================================
+   ASCII export — render an engine animation headlessly
+   Usage:
+     node scripts/ascii-export.js <Animation> [options]
+
+     --width <cols>     grid width            (default 80)
+     --height <rows>    grid height           (default 24)
+     --frames <n>       frames to export      (default 60)
+     --skip <n>         frames to step first  (default 0)
+     --fps <n>          playback rate         (default 20)
+     --seed <seed>      deterministic output
+     --format <fmt>     text | ansi | json    (default text)
+     --out <path>       directory (text) or file (ansi, json);
+                        omit to write to stdout
+     --play             play the ANSI stream in the terminal
+     --poster           export only the reduced-motion poster frame
+     --<option> <value> any option declared in the animation's schema
+                        (Banner: --font also takes local .flf files)
+     --pixels <path>    Image: JSON { width, height, data } with RGBA
+                        data, in place of --src
+   ============================================================ */
+
+const fs = require("fs");
+const path = require("path");
+const E = require("../ascii-engine.js");
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) { args._.push(a); continue; }
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) args[key] = true;
+    else { args[key] = next; i++; }
+  }
+  return args;
+}
+
+function fail(msg) {
+  process.stderr.write(msg + "\n");
+  process.exit(1);
+}
+
+const args = parseArgs(process.argv.slice(2));
+const name = args._[0];
+const AnimationClass = E.animations[name];
+if (!AnimationClass) {
+  fail("usage: ascii-export.js <" + Object.keys(E.animations).join("|") + "> [--frames n] [--format text|ansi|json]");
+}
+
+const width = parseInt(args.width, 10) || 80;
+const height = parseInt(args.height, 10) || 24;
+const frameCount = parseInt(args.frames, 10) || 60;
+const fps = parseInt(args.fps, 10) || 20;
+const format = args.format || "text";
+
+/* any option in the animation's schema can be passed as --<option> <value> */
+const options = {};
+for (const key of Object.keys(AnimationClass.schema || {})) {
+  if (key !== "seed" && args[key] !== undefined) options[key] = args[key];
+}
+
+/* fetch() can't read local files — register .flf fonts up front, and
+   refuse fonts that would otherwise quietly fall back to "plain" */
+if (typeof options.font === "string") {
+  for (const entry of options.font.split(",")) {
+    const file = entry.trim();
+    if (!file || /^https?:/i.test(file) || E.fonts[file]) continue;
+    if (!/\.flf$/i.test(file)) fail("Banner --font: unknown font \"" + file + "\"");
+    try {
+      E.registerFont(file, fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      fail("Banner --font: can't read " + file + ": " + err.message);
+    }
+  }
+}
+
+/* Image can't load --src without a browser; take decoded pixels instead */
+if (AnimationClass === E.Image && options.src && !args.pixels) {
+  fail("Image --src needs a browser to decode " + options.src + "; pass --pixels <file.json> " +
+    "with { width, height, data } RGBA instead");
+}
+if (AnimationClass === E.Image && args.pixels) {
+  try {
+    options.pixels = JSON.parse(fs.readFileSync(args.pixels, "utf8"));
+  } catch (err) {
+    fail("Image --pixels: " + err.message);
+  }
+  delete options.src;
+}
+
+const runner = new E.Headless(AnimationClass, { width, height, fps, seed: args.seed, options });
+/* async init() (remote fonts and the like) has to finish before stepping */
+runner.ready.then(() => exportFrames(runner), (err) => fail(name + ": " + err.message));
+
+function exportFrames(runner) {
+  runner.step(args.poster ? Math.max(0, runner.posterFrame() - 1) : parseInt(args.skip, 10) || 0);
+  /* terminal output keeps per-cell colors; files stay plain text */
+  const frames = runner.run(args.poster ? 1 : frameCount, args.play || format === "ansi" ? "ansi" : "text");
+
+  if (args.play) {
+    /* stream frame by frame at the requested rate */
+    let i = 0;
+    process.stdout.write("\x1b[?25l\x1b[2J");
+    const timer = setInterval(() => {
+      if (i === frames.length) {
+        clearInterval(timer);
+        process.stdout.write("\r\n\x1b[?25h");
+        return;
+      }
+      process.stdout.write("\x1b[H" + frames[i++].split("\n").join("\r\n"));
+    }, 1000 / fps);
+  } else if (format === "text") {
+    if (!args.out) {
+      process.stdout.write(frames.join("\n\f\n") + "\n");
+    } else {
+      fs.mkdirSync(args.out, { recursive: true });
+      const digits = String(frames.length).length;
+      frames.forEach((frame, i) => {
+        const file = "frame-" + String(i + 1).padStart(digits, "0") + ".txt";
+        fs.writeFileSync(path.join(args.out, file), frame + "\n");
+      });
+    }
+  } else if (format === "ansi" || format === "json") {
+    const data = format === "ansi"
+      ? E.framesToANSI(frames)
+      : JSON.stringify(E.framesToJSON(frames, { width, height, fps }), null, 2) + "\n";
+    if (args.out) fs.writeFileSync(args.out, data);
+    else process.stdout.write(data);
+  } else {
+    fail("unknown format: " + format);
+  }
+}